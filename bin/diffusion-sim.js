@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+// Headless batch runner: steps DiffusionSim without a browser and writes
+// histogram + analytical profiles at the requested times as CSV or JSON.
+import { writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import {
+    DiffusionSim, MAX_ATOMS, NUM_BINS, MAX_BINS, VISIBLE_LENGTH, LATTICES, DIFFUSIVITY_FORMS,
+    parseSurfaceSchedule, parseTemperatureProgram, parseDiffusivityExpression,
+} from '../js/simulation.js';
+import { listScenarios } from '../js/scenarios.js';
+import { profileAt, analyticalCurve, profilesToCSV, runParameters } from '../js/datasets.js';
+import { FiniteDifferenceSolver, FD_SCHEMES } from '../js/solver.js';
+import { boltzmannMatano, fluxScale, analyticalFlux, expectedPermeation, FluxRecord, timeLag } from '../js/analysis.js';
+
+const CASES = listScenarios().map(s => s.id);
+
+const USAGE = `Usage: diffusion-sim [options]
+
+  --case <n>          diffusion case: ${CASES.join(', ')} (default 1)
+  --gamma <Hz>        jumping frequency Γ (default 20; ignored with --temperature)
+  --temperature <list> Arrhenius mode: temperature program as time:T(K) pairs,
+                      e.g. "0:950,10:1050"; Γ = ν₀·exp(−Q/kT)
+  --nu0 <Hz>          Arrhenius attempt frequency ν₀ (default 1e13)
+  --activation <eV>   Arrhenius activation energy Q (default 2.3)
+  --lambda <µm>       jump length λ (default 0.5)
+  --walk <mode>       continuous | lattice (default continuous)
+  --lattice <type>    lattice walk structure: sc | bcc | fcc (default sc)
+  --anisotropy <list> lattice jump frequency factors along x,y,z (default "1,1,1")
+  --bias <b>          drift bias along x, −1/3…1/3: mean step bλ, v = bΓλ
+                      (default 0; Cases 1 outgas/schedule, 2, 3 and 6)
+  --dc <form>         concentration-dependent D = D·f(C/C₀), c = C/C₀:
+                      ${Object.keys(DIFFUSIVITY_FORMS).join(' | ')} (default constant;
+                      Cases 1 outgas/schedule, 4 source and 5)
+  --dc-strength <β>   β of the linear 1 + βc and exponential e^(βc) forms (default 2)
+  --dc-expr <f(c)>    custom form, e.g. "1 + 4*c^2" (JSON output adds a
+                      Boltzmann–Matano D(C) to each sample)
+  --sink <k>          first-order sink rate k in 1/s (default 0)
+  --traps <φ>         share of 0.5 µm cells holding a trap, 0…1 (default 0);
+                      profiles are then the mobile atoms, with trapped columns
+  --capture <Hz>      capture rate inside a trap cell (default 5)
+  --release <Hz>      release rate of a trapped atom (default 1)
+  --atoms <N>         number of atoms (default 2000, max ${MAX_ATOMS});
+                      with a source face, the atoms that fill the view at C₀
+  --surface <mode>    Case 1 surface: constant | outgas | schedule (default constant)
+  --schedule <list>   Case 1 schedule as time:C/C₀ pairs (default "0:1,20:0")
+  --thickness <µm>    Case 4 slab thickness L (default 5)
+  --front <face>      Case 4 front face: source | reflect (default source)
+  --back <face>       Case 4 back face: reflect | absorb (default reflect)
+  --interface <µm>    Case 5 interface position x_i (default 0)
+  --gamma2 <Hz>       Case 5 region-2 jumping frequency Γ₂ (default 5)
+  --lambda2 <µm>      Case 5 region-2 jump length λ₂ (default 0.5)
+  --partition <K>     Case 5 partition coefficient C₂/C₁ (default 1)
+  --source <shape>    Case 6 source: point | line (default point); profiles are in r
+  --membrane <µm>     Case 7 membrane thickness L (default 5); JSON output adds
+                      Q(t), J(t), the Daynes–Barrer values and the time-lag fit
+  --planes <list>     count net crossings of the planes x = …, e.g. "1,2.5"
+                      (JSON output adds each plane's J and the analytical one)
+  --bins <n>          profile bins (default ${NUM_BINS}, max ${MAX_BINS})
+  --window <min,max>  binned x window in µm, e.g. --window=-2,8 (default: the
+                      case's own; Case 1's clamped-first-bin surfaces keep the
+                      length but start at x = 0)
+  --time <s>          total simulated time (default 10)
+  --dt <s>            step size passed to step() (default 0.05)
+  --seed <int>        PRNG seed (default: unseeded Math.random)
+  --times <list>      comma-separated sample times (default: --time)
+  --fd <scheme>       add a finite-difference column: ${Object.keys(FD_SCHEMES).join(' | ')}
+  --format <csv|json> output format (default csv)
+  --out <file>        output file (default stdout)
+  -h, --help          show this help
+`;
+
+function fail(msg) {
+    process.stderr.write(`diffusion-sim: ${msg}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function num(name, raw, { integer = false, min = -Infinity, max = Infinity, positive = false } = {}) {
+    const v = Number(raw);
+    if (!Number.isFinite(v) || (integer && !Number.isInteger(v))) fail(`--${name} must be a${integer ? 'n integer' : ' number'}, got "${raw}"`);
+    if (v < min || v > max) fail(`--${name} must be between ${min} and ${max}, got ${v}`);
+    if (positive && v <= 0) fail(`--${name} must be greater than 0, got ${v}`);
+    return v;
+}
+
+let args;
+try {
+    args = parseArgs({
+        options: {
+            case: { type: 'string', default: '1' },
+            gamma: { type: 'string', default: '20' },
+            temperature: { type: 'string' },
+            nu0: { type: 'string', default: '1e13' },
+            activation: { type: 'string', default: '2.3' },
+            lambda: { type: 'string', default: '0.5' },
+            walk: { type: 'string', default: 'continuous' },
+            lattice: { type: 'string', default: 'sc' },
+            anisotropy: { type: 'string', default: '1,1,1' },
+            bias: { type: 'string', default: '0' },
+            dc: { type: 'string', default: 'constant' },
+            'dc-strength': { type: 'string', default: '2' },
+            'dc-expr': { type: 'string', default: '1 + 4*c^2' },
+            sink: { type: 'string', default: '0' },
+            traps: { type: 'string', default: '0' },
+            capture: { type: 'string', default: '5' },
+            release: { type: 'string', default: '1' },
+            atoms: { type: 'string', default: '2000' },
+            time: { type: 'string', default: '10' },
+            dt: { type: 'string', default: '0.05' },
+            surface: { type: 'string', default: 'constant' },
+            schedule: { type: 'string', default: '0:1,20:0' },
+            thickness: { type: 'string', default: '5' },
+            front: { type: 'string', default: 'source' },
+            back: { type: 'string', default: 'reflect' },
+            interface: { type: 'string', default: '0' },
+            gamma2: { type: 'string', default: '5' },
+            lambda2: { type: 'string', default: '0.5' },
+            partition: { type: 'string', default: '1' },
+            source: { type: 'string', default: 'point' },
+            membrane: { type: 'string', default: '5' },
+            planes: { type: 'string' },
+            bins: { type: 'string', default: String(NUM_BINS) },
+            window: { type: 'string' },
+            seed: { type: 'string' },
+            times: { type: 'string' },
+            fd: { type: 'string' },
+            format: { type: 'string', default: 'csv' },
+            out: { type: 'string' },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    }).values;
+} catch (err) {
+    fail(err.message);
+}
+if (args.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+const caseNum = num('case', args.case, { integer: true });
+if (!CASES.includes(caseNum)) fail(`--case must be one of ${CASES.join(', ')}, got ${caseNum}`);
+const total = num('time', args.time, { min: 0 });
+const dt = num('dt', args.dt, { min: 1e-6 });
+const times = (args.times ? args.times.split(',').map(t => num('times', t.trim(), { min: 0 })) : [total])
+    .sort((a, b) => a - b);
+if (times[times.length - 1] > total) fail(`sample time ${times[times.length - 1]} exceeds --time ${total}`);
+if (!['constant', 'outgas', 'schedule'].includes(args.surface)) fail(`--surface must be constant, outgas or schedule, got "${args.surface}"`);
+let schedule;
+try {
+    schedule = parseSurfaceSchedule(args.schedule);
+} catch (err) {
+    fail(`--schedule: ${err.message}`);
+}
+let program = null;
+if (args.temperature !== undefined) {
+    try {
+        program = parseTemperatureProgram(args.temperature);
+    } catch (err) {
+        fail(`--temperature: ${err.message}`);
+    }
+}
+if (!['source', 'reflect'].includes(args.front)) fail(`--front must be source or reflect, got "${args.front}"`);
+if (!['reflect', 'absorb'].includes(args.back)) fail(`--back must be reflect or absorb, got "${args.back}"`);
+if (!['point', 'line'].includes(args.source)) fail(`--source must be point or line, got "${args.source}"`);
+if (!['continuous', 'lattice'].includes(args.walk)) fail(`--walk must be continuous or lattice, got "${args.walk}"`);
+if (!(args.lattice in LATTICES)) fail(`--lattice must be one of ${Object.keys(LATTICES).join(', ')}, got "${args.lattice}"`);
+const factors = args.anisotropy.split(',').map(v => num('anisotropy', v.trim(), { min: 0.01 }));
+if (factors.length !== 3) fail(`--anisotropy needs three factors x,y,z, got "${args.anisotropy}"`);
+if (!(args.dc in DIFFUSIVITY_FORMS)) fail(`--dc must be one of ${Object.keys(DIFFUSIVITY_FORMS).join(', ')}, got "${args.dc}"`);
+try {
+    parseDiffusivityExpression(args['dc-expr']);
+} catch (err) {
+    fail(`--dc-expr: ${err.message}`);
+}
+if (args.fd !== undefined && !(args.fd in FD_SCHEMES)) fail(`--fd must be one of ${Object.keys(FD_SCHEMES).join(', ')}, got "${args.fd}"`);
+if (args.format !== 'csv' && args.format !== 'json') fail(`--format must be csv or json, got "${args.format}"`);
+
+const seed = args.seed !== undefined ? num('seed', args.seed, { integer: true }) : null;
+const sim = new DiffusionSim(seed !== null ? { seed } : {});
+sim.caseNum = caseNum;
+sim.gamma = num('gamma', args.gamma, { min: 0 });
+sim.lambda = num('lambda', args.lambda, { positive: true }); // λ = 0 leaves v/D = 6b/λ undefined
+sim.bias = num('bias', args.bias, { min: -1 / 3, max: 1 / 3 });
+sim.setNumAtoms(num('atoms', args.atoms, { integer: true, min: 1, max: MAX_ATOMS }));
+sim.setSlab({ thickness: num('thickness', args.thickness, { min: 0.5, max: 100 }), frontFace: args.front, backFace: args.back });
+sim.setSurface({ mode: args.surface, schedule });
+sim.gamma2 = num('gamma2', args.gamma2, { min: 0 });
+sim.lambda2 = num('lambda2', args.lambda2, { min: 0 });
+sim.partition = num('partition', args.partition, { min: 0.01 });
+sim.setInterface(num('interface', args.interface, { min: -VISIBLE_LENGTH / 2, max: VISIBLE_LENGTH / 2 }));
+sim.configure({ sourceShape: args.source, membraneThickness: num('membrane', args.membrane, { min: 0.5, max: 100 }) });
+const planes = args.planes ? args.planes.split(',').map(x => num('planes', x.trim())) : [];
+sim.setFluxPlanes(planes);
+const viewWindow = args.window ? args.window.split(',').map(x => num('window', x.trim())) : null;
+if (viewWindow && (viewWindow.length !== 2 || !(viewWindow[1] > viewWindow[0]))) fail(`--window needs min,max with min < max, got "${args.window}"`);
+sim.setView({ bins: num('bins', args.bins, { integer: true, min: 1, max: MAX_BINS }), window: viewWindow });
+sim.setWalk({ mode: args.walk, lattice: args.lattice, anisotropy: { x: factors[0], y: factors[1], z: factors[2] } });
+sim.diffusivityForm = args.dc;
+sim.diffusivityStrength = num('dc-strength', args['dc-strength'], { min: -0.9 });
+sim.diffusivityExpression = args['dc-expr'];
+if (args.dc !== 'constant' && !sim.concentrationDependent) fail(`--dc: case ${caseNum} has no C/C₀ profile to read D(C) from`);
+if (sim.bias !== 0 && sim.concentrationDependent) fail('--bias and --dc cannot be combined');
+sim.reactionRate = num('sink', args.sink, { min: 0 });
+sim.trapFraction = num('traps', args.traps, { min: 0, max: 1 });
+sim.trapCapture = num('capture', args.capture, { min: 0 });
+sim.trapRelease = num('release', args.release, { min: 0.01 });
+if (sim.bias !== 0 && args.walk === 'lattice') fail('--bias applies to the continuous walk only');
+if (sim.bias !== 0 && !sim.scenario.drift?.(sim)) fail(`--bias: case ${caseNum}${caseNum === 1 ? ` (${args.surface} surface)` : ''} has no drift solution`);
+if (program) {
+    sim.setTemperature({
+        mode: 'arrhenius',
+        nu0: num('nu0', args.nu0, { min: 0 }),
+        activationEnergy: num('activation', args.activation, { min: 0 }),
+        program,
+    });
+}
+sim.reset();
+sim.running = true;
+const reference = args.fd !== undefined ? new FiniteDifferenceSolver(args.fd) : null;
+if (reference && !reference.sync(sim)) fail(`--fd: case ${caseNum} has no continuum model`);
+
+// Step up to each sample time, shortening the last step so samples land exactly on it.
+const membrane = sim.scenario.permeation?.(sim) ?? null;
+const scale = fluxScale(sim);
+const fluxRecord = new FluxRecord();
+fluxRecord.record(sim);
+const samples = [];
+for (const t of times) {
+    while (t - sim.time > 1e-9) {
+        sim.step(Math.min(dt, t - sim.time));
+        fluxRecord.record(sim);
+    }
+    reference?.sync(sim);
+    const sample = { ...profileAt(sim, reference), curve: analyticalCurve(sim) };
+    if (sim.concentrationDependent && args.format === 'json') sample.matano = boltzmannMatano(sim);
+    if (membrane !== null && args.format === 'json') {
+        const rate = fluxRecord.rate(s => s.exit);
+        sample.permeation = {
+            Q: sim.absorbed * scale,
+            J: rate === null ? null : rate * scale,
+            expected: expectedPermeation(sim, membrane),
+            timeLag: sim.arrhenius ? null : timeLag(fluxRecord, membrane, scale),
+        };
+    }
+    if (planes.length > 0 && args.format === 'json') {
+        sample.planes = planes.map((x, k) => {
+            const rate = fluxRecord.rate(s => s.planes[k]);
+            return {
+                x,
+                crossings: sim.planeCrossings[k],
+                J: rate === null || scale === null ? null : rate * scale,
+                analytical: analyticalFlux(sim, x),
+            };
+        });
+    }
+    samples.push(sample);
+}
+
+let output;
+if (args.format === 'json') {
+    const params = { ...runParameters(sim), dt, seed };
+    if (reference) params.fdScheme = reference.scheme;
+    if (planes.length > 0) params.fluxPlanes = planes;
+    output = JSON.stringify({ params, samples }, null, 2) + '\n';
+} else {
+    output = profilesToCSV(samples);
+}
+
+if (args.out) writeFileSync(args.out, output);
+else process.stdout.write(output);
@@ -0,0 +1,330 @@
+// Goodness-of-fit between the binned random walk and the analytical profile.
+// DOM-free so the same numbers can be produced headlessly.
+import { BOLTZMANN_EV, daynesBarrer } from './simulation.js';
+import { histogramScale } from './datasets.js';
+
+/** Effective D from the second moment of all atom positions (x, or r for
+ *  radial sources), using the scenario's ⟨x²⟩ = k·Dt (Gaussians and the
+ *  walled or clamped half-Gaussians give 2Dt, a point source ⟨r²⟩ = 6Dt). NaN for bounded or
+ *  time-varying problems, which declare no k. */
+export function secondMomentD(sim) {
+    const k = sim.scenario.momentFactor?.(sim) ?? null;
+    if (sim.time <= 0 || sim.numAtoms === 0 || k === null) return NaN;
+    const xs = sim.profileCoordinates();
+    // Radial profiles already follow the drifting source; x does not
+    const c = sim.profile.axis === 'x' ? sim.driftShift(0, sim.time) : 0;
+    let m2 = 0;
+    for (let i = 0; i < xs.length; i++) {
+        const d = xs[i] - c;
+        m2 += d * d;
+    }
+    m2 /= sim.numAtoms;
+    return m2 / (k * sim.time);
+}
+
+/** Kolmogorov–Smirnov distance between the atom positions and the analytical CDF.
+ *  Returns null when the case has no CDF (Case 1). */
+export function ksStatistic(sim) {
+    if (sim.analyticalCdfAt(0) === null || sim.numAtoms === 0) return null;
+    const n = sim.numAtoms;
+    const xs = sim.profileCoordinates();
+    xs.sort();
+    // On lattice planes, compare at the slab edges (see getHistogram)
+    const h = (sim.profile.cell ?? 0) / 2;
+    let d = 0;
+    for (let i = 0; i < n; i++) {
+        if (h > 0) {
+            d = Math.max(d, (i + 1) / n - sim.analyticalCdfAt(xs[i] + h), sim.analyticalCdfAt(xs[i] - h) - i / n);
+            continue;
+        }
+        const f = sim.analyticalCdfAt(xs[i]);
+        d = Math.max(d, (i + 1) / n - f, f - i / n);
+    }
+    return { d, critical: 1.358 / Math.sqrt(n) }; // 95% critical value
+}
+
+/** Live fit metrics for the visible histogram.
+ *  rms  — RMS difference on the plot's scale
+ *  chi2 — Σ (observed − expected)² / σ², σ² = max(observed, 1) (Poisson)
+ *  ks   — see ksStatistic(); dFit — see secondMomentD() */
+export function fitMetrics(sim, hist = sim.getHistogram()) {
+    const { min: lo, max: hi } = sim.profile;
+    const n = hist.length;
+    const binW = (hi - lo) / n;
+    const scale = histogramScale(sim, hist);
+    // A sink or traps leave fewer mobile atoms than the CDF accounts for, so
+    // those runs take the expected counts from the curve itself.
+    const hasCdf = !sim.reactive && sim.analyticalCdfAt(0) !== null;
+    let sq = 0, chi2 = 0;
+    // First-bin normalization spends bin 0 on C₀, leaving one fewer degree of freedom.
+    const first = sim.profileNormalization === 'firstBin' ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+        const a = sim.analyticalAt(lo + (i + 0.5) * binW);
+        const r = hist[i] * scale - a;
+        sq += r * r;
+        if (i < first) continue;
+        const expected = hasCdf
+            ? sim.loadedAtoms * (sim.analyticalCdfAt(lo + (i + 1) * binW) - sim.analyticalCdfAt(lo + i * binW))
+            : a / scale;
+        const diff = hist[i] - expected;
+        chi2 += diff * diff / Math.max(hist[i], 1);
+    }
+    const dof = n - first;
+    return {
+        rms: Math.sqrt(sq / n),
+        chi2,
+        dof,
+        ks: ksStatistic(sim),
+        dFit: secondMomentD(sim),
+    };
+}
+
+// ── Arrhenius analysis ──
+/** One Arrhenius-plot point {T, D} from the current run: D from ⟨x²⟩ at the
+ *  effective temperature whose Γ equals the run's mean Γ (the hold temperature
+ *  for an isothermal program). Null outside Arrhenius mode or when D can't be measured. */
+export function arrheniusPoint(sim) {
+    const D = secondMomentD(sim);
+    if (!sim.arrhenius || !Number.isFinite(D)) return null;
+    const meanGamma = sim.integratedGamma(0, sim.time) / sim.time;
+    return { T: sim.activationEnergy / (BOLTZMANN_EV * Math.log(sim.nu0 / meanGamma)), D };
+}
+
+/** Least-squares line ln D = ln D₀ − Q/kT through points [{T, D}].
+ *  Returns {Q (eV), D0 (µm²/s)}, or null with fewer than two distinct temperatures. */
+export function arrheniusFit(points) {
+    const n = points.length;
+    if (n < 2) return null;
+    let sx = 0, sy = 0, sxx = 0, sxy = 0;
+    for (const { T, D } of points) {
+        const x = 1 / T, y = Math.log(D);
+        sx += x; sy += y; sxx += x * x; sxy += x * y;
+    }
+    const den = n * sxx - sx * sx;
+    if (den <= 1e-12 * sxx * n) return null; // every point at the same T
+    const slope = (n * sxy - sx * sy) / den;
+    return { Q: -slope * BOLTZMANN_EV, D0: Math.exp((sy - slope * sx) / n) };
+}
+
+// ── Boltzmann–Matano analysis ──
+const MATANO_LEVELS = Array.from({ length: 15 }, (_, i) => 0.15 + 0.05 * i); // fractions of the C span
+const MATANO_WINDOW = 0.1; // dx/dc from the crossings at c* ± 0.1 of the span
+
+/** Least-squares non-increasing fit to ys (pool-adjacent-violators). */
+function decreasingFit(ys) {
+    const blocks = []; // [sum, count]
+    for (const y of ys) {
+        blocks.push([y, 1]);
+        while (blocks.length > 1) {
+            const [s1, n1] = blocks[blocks.length - 2], [s2, n2] = blocks[blocks.length - 1];
+            if (s1 / n1 >= s2 / n2) break;
+            blocks.splice(-2, 2, [s1 + s2, n1 + n2]);
+        }
+    }
+    return blocks.flatMap(([s, n]) => new Array(n).fill(s / n));
+}
+
+/** D(C) recovered from the binned C/C₀ profile by the Boltzmann–Matano
+ *  method (Crank, ch. 5): with C a function of x/√t alone,
+ *    D(c*) = −(1/2t) · (dx/dc)|c* · ∫ from c_far to c* of (x − x_M) dc,
+ *  integrated from the far (right) end. x_M is a fixed-concentration face,
+ *  or for a couple the Matano plane that balances the areas either side.
+ *  The profile is first made monotone, so noise cannot reverse dx/dc.
+ *  Returns {origin: x_M, points: [{c, D, expected}]}, `expected` being the
+ *  model's D(x*, c*) averaged over the run, or null before the run starts,
+ *  without a continuum model, or when the face has not held one value
+ *  (a schedule of several steps is not a function of x/√t). */
+export function boltzmannMatano(sim) {
+    const t = sim.time;
+    const model = sim.scenario.continuum?.(sim) ?? null;
+    if (t <= 0 || !model) return null;
+    const { from, width, c } = sim.concentrationProfile();
+    const xs = Array.from(c, (_, k) => from + (k + 0.5) * width);
+    const cs = Array.from(c);
+    const face = model.left.type === 'value' ? model.left.value(t) : null;
+    if (face !== null) {
+        for (let k = 0; k < 16; k++) if (Math.abs(model.left.value(t * k / 16) - face) > 1e-9) return null;
+        xs.unshift(model.from);
+        cs.unshift(face);
+    }
+    // Monotone fit, decreasing in y = ±c
+    const sign = cs[0] >= cs[cs.length - 1] ? 1 : -1;
+    const ys = decreasingFit(cs.map(v => sign * v));
+    const n = ys.length;
+    const span = ys[0] - ys[n - 1];
+    if (span < 0.2) return null;
+    let origin = model.from;
+    if (face === null) {
+        let sx = 0;
+        for (let k = 0; k < n - 1; k++) sx += (xs[k] + xs[k + 1]) / 2 * (ys[k] - ys[k + 1]);
+        origin = sx / span;
+    }
+    // Where the fit crosses y: the segment k with ys[k] ≥ y ≥ ys[k + 1]
+    const crossing = y => {
+        let k = 0;
+        while (k < n - 2 && ys[k + 1] > y) k++;
+        const dy = ys[k] - ys[k + 1];
+        const x = dy > 0 ? xs[k] + (xs[k + 1] - xs[k]) * (ys[k] - y) / dy : (xs[k] + xs[k + 1]) / 2;
+        return { k, x };
+    };
+    const h = MATANO_WINDOW * span;
+    const points = [];
+    for (const level of MATANO_LEVELS) {
+        const y = ys[n - 1] + level * span;
+        const { k, x } = crossing(y);
+        // ∫ (x − x_M) dc from the far end to x*, in y
+        let integral = ((x + xs[k + 1]) / 2 - origin) * (y - ys[k + 1]);
+        for (let j = k + 1; j < n - 1; j++) integral += ((xs[j] + xs[j + 1]) / 2 - origin) * (ys[j] - ys[j + 1]);
+        const dxdy = (crossing(y + h).x - crossing(y - h).x) / (2 * h);
+        const cStar = sign * y;
+        let mean = 0;
+        for (let j = 0; j < 16; j++) mean += model.D(x, t * (j + 0.5) / 16, cStar) / 16;
+        points.push({ c: cStar, D: -dxdy * integral / (2 * t), expected: mean });
+    }
+    return { origin, points };
+}
+
+// ── Permeation and flux planes ──
+const FLUX_SAMPLES = 2000; // a FluxRecord halves its resolution past this many samples
+const FLUX_WINDOW = 0.2;   // J(t) from the last 20% of the elapsed time
+
+/** Atoms → the plotted concentration scale times µm: Q/C₀ (µm) for the
+ *  reservoir cases, a fraction of M for the loaded ones. Null for first-bin plots. */
+export function fluxScale(sim) {
+    const norm = sim.profileNormalization;
+    if (norm === 'reservoir') return 1 / sim.reservoirDensity;
+    return norm === 'density' ? 1 / sim.loadedAtoms : null;
+}
+
+/** Analytical net flux of mobile atoms through the plane x, J = −D ∂C/∂x + vC,
+ *  on the fluxScale() scale per second. The gradient is taken just left of x,
+ *  so a plane on a Case 5 interface (where C jumps but J does not) reads the
+ *  left side. Null for radial profiles, D(C) and cases without a continuum model. */
+export function analyticalFlux(sim, x) {
+    const model = sim.scenario.continuum?.(sim) ?? null;
+    if (!model || sim.profile.axis !== 'x' || sim.concentrationDependent || fluxScale(sim) === null) return null;
+    const h = 1e-3, t = sim.time;
+    const c1 = sim.analyticalAt(x - h), c2 = sim.analyticalAt(x - 2 * h);
+    const v = model.velocity?.(t) ?? 0;
+    return -model.D(x - 1.5 * h, t, c1) * (c1 - c2) / h + v * c1;
+}
+
+/** Daynes–Barrer permeated amount and exit flux for a membrane of thickness
+ *  L at time t, {Q: Q/C₀ (µm), J: J/C₀ (µm/s)}; null when a sink, traps or D(C)
+ *  take the walk outside the closed form. */
+export function expectedPermeation(sim, L, t = sim.time) {
+    if (sim.reactive || sim.concentrationDependent) return null;
+    const { Q, rate } = daynesBarrer(sim.integratedD(0, t), L);
+    return { Q, J: sim.diffusivityAt(t) * rate };
+}
+
+/** Time history of the permeated amount (atoms absorbed at the exit face)
+ *  and the net crossings of each flux plane, sampled once per frame. Starts
+ *  over when the run restarts or time goes back. */
+export class FluxRecord {
+    constructor() {
+        this.samples = []; // {t, exit, planes}
+        this.runId = -1;
+        this.planes = '';
+    }
+
+    clear() { this.samples = []; }
+
+    /** Add the current state of `sim`. */
+    record(sim) {
+        const planes = sim.fluxPlanes.join(',');
+        const last = this.samples[this.samples.length - 1];
+        if (sim.runId !== this.runId || planes !== this.planes || (last && sim.time < last.t)) {
+            this.samples = [];
+            this.runId = sim.runId;
+            this.planes = planes;
+        } else if (last && sim.time === last.t) {
+            return; // paused
+        }
+        this.samples.push({ t: sim.time, exit: sim.absorbed, planes: [...sim.planeCrossings] });
+        // Keep every other sample, so a long run keeps its whole history
+        if (this.samples.length > FLUX_SAMPLES) this.samples = this.samples.filter((_, i) => i % 2 === 0);
+    }
+
+    /** Mean rate of get(sample) over the last FLUX_WINDOW of the record
+     *  (per second), or null until there are two samples in it. */
+    rate(get) {
+        const n = this.samples.length;
+        if (n < 2) return null;
+        const end = this.samples[n - 1];
+        const from = end.t * (1 - FLUX_WINDOW);
+        let k = n - 2;
+        while (k > 0 && this.samples[k - 1].t >= from) k--;
+        const start = this.samples[k];
+        return end.t > start.t ? (get(end) - get(start)) / (end.t - start.t) : null;
+    }
+}
+
+/** Time lag of a permeation record: the least-squares line Q = a + b·t
+ *  through the samples of the second half of the run cuts the t axis at
+ *  t_lag = −a/b, and L²/6t_lag and the slope b·L/C₀ both estimate D.
+ *  `scale` converts absorbed atoms to Q/C₀. Returns {lag, slope, intercept,
+ *  D, DSlope, steady}, `steady` once the run has lasted 6·t_lag (Dt = L², where
+ *  the transient is down to e^{−π²}), or null without a rising line. */
+export function timeLag(record, L, scale) {
+    const samples = record.samples;
+    const n = samples.length;
+    if (n < 4) return null;
+    const tEnd = samples[n - 1].t;
+    let m = 0, st = 0, sq = 0, stt = 0, stq = 0;
+    for (const { t, exit } of samples) {
+        if (t < tEnd / 2) continue;
+        const q = exit * scale;
+        m++; st += t; sq += q; stt += t * t; stq += t * q;
+    }
+    const den = m * stt - st * st;
+    if (m < 3 || den <= 0) return null;
+    const slope = (m * stq - st * sq) / den;
+    const intercept = (sq - slope * st) / m;
+    if (!(slope > 0)) return null;
+    const lag = -intercept / slope;
+    if (!(lag > 0)) return null;
+    return { lag, slope, intercept, D: L * L / (6 * lag), DSlope: slope * L, steady: tEnd >= 6 * lag };
+}
+
+// ── Similarity and data collapse ──
+const COLLAPSE_RANGE = 8; // |η| beyond which every self-similar profile here is below ~1e-7
+
+/** The scaling that turns a self-similar profile into a function of
+ *  η = (x − x₀)/√(Dt) alone: {origin: x₀, root: √(Dt), yScale}, where yScale
+ *  is √(Dt) for densities (their peak falls as 1/√(Dt)) and 1 for C/C₀.
+ *  Null at t = 0, or when the case, a sink or traps set a length or time scale. */
+export function similarity(sim) {
+    const origin = sim.scenario.similarity?.(sim) ?? null;
+    const Dt = sim.integratedD(0, sim.time);
+    if (origin === null || sim.reactive || !(Dt > 0)) return null;
+    const root = Math.sqrt(Dt);
+    return { origin, root, yScale: sim.profileNormalization === 'density' ? root : 1 };
+}
+
+/** A profileAt() profile in similarity coordinates, {eta, y}, or null
+ *  when `sim` (at the profile's time) has no similarity(). */
+export function collapseProfile(sim, profile) {
+    const s = similarity(sim);
+    if (!s) return null;
+    return {
+        eta: profile.centers.map(x => (x - s.origin) / s.root),
+        y: profile.simulated.map(v => v * s.yScale),
+    };
+}
+
+/** The analytical curve every collapsed profile should follow, sampled at
+ *  `points + 1` values of η over [from, to] (clamped to ±8), or null. */
+export function collapseCurve(sim, from, to, points = 200) {
+    const s = similarity(sim);
+    if (!s) return null;
+    from = Math.max(from, -COLLAPSE_RANGE);
+    to = Math.min(to, COLLAPSE_RANGE);
+    const eta = [], y = [];
+    for (let i = 0; i <= points; i++) {
+        const e = from + (i / points) * (to - from);
+        eta.push(e);
+        y.push(sim.analyticalAt(s.origin + e * s.root) * s.yScale);
+    }
+    return { eta, y };
+}
@@ -0,0 +1,226 @@
+// Tabular views of simulation state, shared by the CLI and any export code.
+// No DOM access here — this module must stay importable from Node.
+
+/** Scale that turns raw bin counts into plotted values, following
+ *  sim.profileNormalization: first-bin C/C₀ (legacy Case 1), reservoir
+ *  C/C₀ = count / (ρ₀ · bin width), or density = count / (N · bin width).
+ *  `binW` defaults to the profile's bin width. */
+export function histogramScale(sim, hist, binW = (sim.profile.max - sim.profile.min) / hist.length) {
+    switch (sim.profileNormalization) {
+        case 'firstBin': return 1 / (hist[0] || 1);
+        case 'reservoir': return 1 / (sim.reservoirDensity * binW);
+        default: return 1 / (sim.loadedAtoms * binW);
+    }
+}
+
+/** Histogram values on the same scale the plot uses. */
+export function normalizeHistogram(sim, hist) {
+    const scale = histogramScale(sim, hist);
+    return hist.map(v => v * scale);
+}
+
+/** Binned simulation profile and analytical values at the bin centres,
+ *  plus the finite-difference values when a synced solver is passed. With
+ *  traps the profile is the mobile atoms, and `trapped` (with its analytical
+ *  and numerical values where known) holds the trapped ones on the same scale. */
+export function profileAt(sim, reference = null) {
+    const { axis, min: lo, max: hi } = sim.profile;
+    const counts = sim.getHistogram();
+    const binW = (hi - lo) / counts.length;
+    const simulated = normalizeHistogram(sim, counts);
+    const edges = [], centers = [], analytical = [];
+    for (let i = 0; i <= counts.length; i++) edges.push(lo + i * binW);
+    for (let i = 0; i < counts.length; i++) {
+        const xc = lo + (i + 0.5) * binW;
+        centers.push(xc);
+        analytical.push(sim.analyticalAt(xc));
+    }
+    const profile = { time: sim.time, axis, edges, centers, counts: Array.from(counts), simulated: Array.from(simulated), analytical };
+    if (reference) profile.numerical = centers.map(x => reference.valueAt(x));
+    if (sim.trapping) {
+        const scale = histogramScale(sim, counts, binW);
+        profile.trapped = Array.from(sim.getHistogram('trapped'), v => v * scale);
+        if (sim.analyticalTrappedAt(lo) !== null) profile.analyticalTrapped = centers.map(x => sim.analyticalTrappedAt(x));
+        if (reference) profile.numericalTrapped = centers.map(x => reference.trappedAt(x));
+    }
+    return profile;
+}
+
+/** Analytical curve sampled at `points + 1` evenly spaced x (or r) over the profile range. */
+export function analyticalCurve(sim, points = 200) {
+    const { min: lo, max: hi } = sim.profile;
+    const x = [], y = [];
+    for (let i = 0; i <= points; i++) {
+        const xi = lo + (i / points) * (hi - lo);
+        x.push(xi);
+        y.push(sim.analyticalAt(xi));
+    }
+    return { x, y };
+}
+
+/** Everything needed to repeat a run: case, tunable parameters (minus the
+ *  display-only sim speed), derived D (per axis on a lattice) and the loaded atom count. */
+export function runParameters(sim) {
+    const params = { caseNum: sim.caseNum, ...sim.getParams(), D: sim.D, loadedAtoms: sim.loadedAtoms };
+    if (sim.walkMode === 'lattice') params.diffusivity = sim.diffusivity;
+    delete params.speed;
+    return params;
+}
+
+/** `# key: value` comment lines for the top of a CSV (arrays/objects as JSON). */
+export function metadataComment(meta) {
+    return Object.entries(meta)
+        .map(([k, v]) => `# ${k}: ${typeof v === 'object' ? JSON.stringify(v) : v}`)
+        .join('\n') + '\n';
+}
+
+/** The plot as it stands: parameters and time as comments, the binned
+ *  profile (one row per bin), then the analytical curve as a second block
+ *  (with the finite-difference curve beside it when `reference` is given). */
+export function currentProfileCSV(sim, points = 200, reference = null) {
+    const curve = analyticalCurve(sim, points);
+    const rows = ['', '# analytical curve', `${sim.profile.axis}_um,analytical${reference ? ',numerical' : ''}`];
+    for (let i = 0; i < curve.x.length; i++) {
+        const row = [curve.x[i], curve.y[i]];
+        if (reference) row.push(reference.valueAt(curve.x[i]));
+        rows.push(row.map(v => +v.toPrecision(8)).join(','));
+    }
+    const meta = { time_s: +sim.time.toPrecision(8), ...runParameters(sim) };
+    if (reference) meta.fd_scheme = reference.scheme;
+    return metadataComment(meta) + profilesToCSV([profileAt(sim, reference)]) + rows.join('\n') + '\n';
+}
+
+/** Collects profileAt() snapshots as a run passes a list of sample times.
+ *  Fed once per frame, so each row carries the frame's actual time (the first
+ *  frame at or after the requested one). A restarted run clears the samples. */
+export class ProfileSeries {
+    constructor(times = []) {
+        this.samples = [];
+        this.setTimes(times);
+    }
+
+    /** @param {number[]} times sample times in seconds */
+    setTimes(times) {
+        this.times = [...times].sort((a, b) => a - b);
+        this.samples = [];
+    }
+
+    get complete() { return this.samples.length >= this.times.length; }
+
+    record(sim) {
+        const last = this.samples[this.samples.length - 1];
+        if (last && sim.time < last.time) this.samples = [];
+        while (!this.complete && sim.time >= this.times[this.samples.length]) {
+            this.samples.push({ requested: this.times[this.samples.length], ...profileAt(sim) });
+        }
+    }
+
+    toCSV(sim) {
+        return metadataComment({ sample_times_s: this.samples.map(p => p.requested), ...runParameters(sim) })
+            + profilesToCSV(this.samples);
+    }
+}
+
+/** A run's past, for scrubbing back through it: every `interval` s of
+ *  simulated time a frame keeps the profile histograms and, unless `atoms`
+ *  is 0, about that many atoms taken at an even stride. Past `maxFrames`
+ *  every other frame is dropped and the interval doubles, so a long run
+ *  stays evenly covered. A restarted run starts over. */
+export class RunHistory {
+    constructor({ interval = 0.25, atoms = 2000, maxFrames = 240 } = {}) {
+        this.maxFrames = maxFrames;
+        this.runId = -1;
+        this.configure({ interval, atoms });
+    }
+
+    /** Change what is recorded; clears the frames. */
+    configure({ interval = this.baseInterval, atoms = this.atoms } = {}) {
+        this.baseInterval = interval;
+        this.atoms = atoms;
+        this.clear();
+    }
+
+    clear() {
+        this.frames = [];
+        this.interval = this.baseInterval;
+    }
+
+    record(sim) {
+        const last = this.frames[this.frames.length - 1];
+        if (sim.runId !== this.runId || (last && sim.time < last.time)) {
+            this.clear();
+            this.runId = sim.runId;
+        } else if (last && sim.time < last.time + this.interval * (1 - 1e-9)) {
+            return;
+        }
+        this.frames.push(captureFrame(sim, this.atoms));
+        if (this.frames.length > this.maxFrames) {
+            this.frames = this.frames.filter((_, i) => i % 2 === 0);
+            this.interval *= 2;
+        }
+    }
+}
+
+function captureFrame(sim, atoms) {
+    const frame = {
+        time: sim.time, numBins: sim.numBins, viewWindow: sim.viewWindow, loadedAtoms: sim.loadedAtoms,
+        counts: sim.getHistogram(), trappedCounts: sim.trapping ? sim.getHistogram('trapped') : null,
+        stride: 0, atoms: new Float32Array(0), ids: new Uint32Array(0), trapped: new Uint8Array(0),
+    };
+    if (atoms <= 0 || sim.numAtoms === 0) return frame;
+    const stride = Math.ceil(sim.numAtoms / atoms);
+    const n = Math.ceil(sim.numAtoms / stride);
+    frame.stride = stride;
+    frame.atoms = new Float32Array(n * 3);
+    frame.ids = new Uint32Array(n);
+    frame.trapped = new Uint8Array(n);
+    for (let k = 0; k < n; k++) {
+        const i = k * stride;
+        frame.atoms.set(sim.atoms.subarray(i * 3, i * 3 + 3), k * 3);
+        frame.ids[k] = sim.ids[i];
+        frame.trapped[k] = sim.trapped[i];
+    }
+    return frame;
+}
+
+/** `sim` as it stood at a RunHistory frame, for the renderers and
+ *  profileAt(): the frame's time, binning, histograms and atom sample, over
+ *  the live run's parameters. Its getHistogram() returns the recorded
+ *  counts (mobile ones while traps are on), so bin-wise views are exact
+ *  even where the atom sample is thinned; its 3D and 2D grids weight each
+ *  sampled atom by the stride. */
+export function historyView(sim, frame) {
+    const view = Object.create(sim);
+    Object.assign(view, {
+        time: frame.time, numBins: frame.numBins, viewWindow: frame.viewWindow, loadedAtoms: frame.loadedAtoms,
+        numAtoms: frame.ids.length, atoms: frame.atoms, ids: frame.ids, trapped: frame.trapped,
+    });
+    view.getHistogram = state => state === 'trapped' ? frame.trappedCounts : frame.counts;
+    // Each sampled atom stands for `stride` of the run's, so grids keep the live scale
+    view.getHistogram3D = (nx, ny, nz) => sim.getHistogram3D.call(view, nx, ny, nz).map(v => v * frame.stride);
+    return view;
+}
+
+/** profileAt() fields written after `analytical` when present, and their CSV columns. */
+const OPTIONAL_COLUMNS = {
+    numerical: 'numerical', trapped: 'trapped',
+    analyticalTrapped: 'analytical_trapped', numericalTrapped: 'numerical_trapped',
+};
+
+/** Long-format CSV: one row per (time, bin). Bin columns are named after
+ *  the profile axis (x, or r for radial sources); `numerical` and the
+ *  trapped columns are added when every profile carries them. */
+export function profilesToCSV(profiles) {
+    const a = profiles[0]?.axis ?? 'x';
+    const extra = Object.entries(OPTIONAL_COLUMNS)
+        .filter(([key]) => profiles.length > 0 && profiles.every(p => p[key]));
+    const rows = [[`time_s,${a}_lo_um,${a}_hi_um,${a}_center_um,count,simulated,analytical`, ...extra.map(([, column]) => column)].join(',')];
+    for (const p of profiles) {
+        for (let i = 0; i < p.counts.length; i++) {
+            const row = [p.time, p.edges[i], p.edges[i + 1], p.centers[i], p.counts[i], p.simulated[i], p.analytical[i]];
+            for (const [key] of extra) row.push(p[key][i]);
+            rows.push(row.map(v => +v.toPrecision(8)).join(','));
+        }
+    }
+    return rows.join('\n') + '\n';
+}
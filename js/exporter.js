@@ -0,0 +1,79 @@
+// Browser-side export actions: file downloads, PNG captures of the canvases
+// and WebM recording through MediaRecorder. Table formatting lives in
+// datasets.js so the CLI produces the same files.
+
+/** Save a Blob under `filename` via a temporary <a download> link. */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(text, filename, type = 'text/csv') {
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+/** PNG of a canvas. A WebGL canvas must be rendered in the same task, since
+ *  its drawing buffer is cleared once the frame is composited. */
+export function downloadCanvas(canvas, filename) {
+    canvas.toBlob(blob => downloadBlob(blob, filename), 'image/png');
+}
+
+// ────────────────────── WEBM RECORDER ──────────────────────
+const RECORD_FPS = 30;
+
+/** Records several canvases stacked vertically into one WebM. drawFrame()
+ *  copies the sources onto an offscreen canvas whose captureStream feeds
+ *  MediaRecorder; call it right after rendering, like downloadCanvas(). */
+export class CanvasRecorder {
+    /** @param {HTMLCanvasElement[]} sources top to bottom */
+    constructor(sources) {
+        this.sources = sources;
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.recorder = null;
+        this.chunks = [];
+    }
+
+    static get supported() {
+        return typeof MediaRecorder !== 'undefined' && 'captureStream' in HTMLCanvasElement.prototype;
+    }
+
+    get recording() { return this.recorder !== null; }
+
+    start() {
+        // Even dimensions keep VP8/VP9 encoders happy
+        const width = Math.max(...this.sources.map(c => c.width));
+        const height = this.sources.reduce((h, c) => h + c.height, 0);
+        this.canvas.width = width + (width % 2);
+        this.canvas.height = height + (height % 2);
+        this.drawFrame();
+        const type = ['video/webm;codecs=vp9', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+        this.chunks = [];
+        this.recorder = new MediaRecorder(this.canvas.captureStream(RECORD_FPS), { mimeType: type });
+        this.recorder.ondataavailable = e => { if (e.data.size > 0) this.chunks.push(e.data); };
+        this.recorder.start();
+    }
+
+    /** Stop and download the recording as `filename`. */
+    stop(filename) {
+        const recorder = this.recorder;
+        this.recorder = null;
+        recorder.onstop = () => downloadBlob(new Blob(this.chunks, { type: 'video/webm' }), filename);
+        recorder.stop();
+    }
+
+    drawFrame() {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#08081a';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        let y = 0;
+        for (const c of this.sources) {
+            ctx.drawImage(c, (this.canvas.width - c.width) / 2, y);
+            y += c.height;
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// Guided lessons: JSON scripts whose steps set up the simulator, run it to a
+// time, point at parts of the page and ask questions. This module reads and
+// checks a script and grades answers; main.js drives the page. DOM-free, so
+// a script can be validated headlessly.
+import { compileExpression } from './simulation.js';
+
+/** Step `params`, named as the CLI options, and the control each one sets:
+ *  the control's id, `scale` (control value = value × scale), `log` (control
+ *  value = log₁₀ value), and `enable` = [id, value] for a mode the parameter
+ *  needs switched on first. Lists (`planes`, `window`) go in as "a, b". */
+export const LESSON_PARAMS = {
+    gamma: { control: 'gammaSlider' },
+    lambda: { control: 'lambdaSlider', scale: 100 },
+    atoms: { control: 'atomsSlider' },
+    speed: { control: 'speedSlider', scale: 10 },
+    temperature: { control: 'programInput', enable: ['gammaModeSelect', 'arrhenius'] },
+    nu0: { control: 'nu0Slider', log: true },
+    activation: { control: 'qSlider' },
+    walk: { control: 'walkModeSelect' },
+    lattice: { control: 'latticeSelect', enable: ['walkModeSelect', 'lattice'] },
+    bias: { control: 'biasSlider' },
+    dc: { control: 'dcFormSelect' },
+    'dc-strength': { control: 'dcStrengthSlider' },
+    'dc-expr': { control: 'dcExprInput', enable: ['dcFormSelect', 'custom'] },
+    sink: { control: 'sinkSlider' },
+    traps: { control: 'trapSlider' },
+    capture: { control: 'captureSlider' },
+    release: { control: 'releaseSlider' },
+    surface: { control: 'surfaceModeSelect' },
+    schedule: { control: 'scheduleInput', enable: ['surfaceModeSelect', 'schedule'] },
+    thickness: { control: 'thicknessSlider' },
+    front: { control: 'frontFaceSelect' },
+    back: { control: 'backFaceSelect' },
+    interface: { control: 'interfaceSlider' },
+    gamma2: { control: 'gamma2Slider' },
+    lambda2: { control: 'lambda2Slider', scale: 100 },
+    partition: { control: 'partitionSlider' },
+    source: { control: 'sourceShapeSelect' },
+    membrane: { control: 'membraneSlider' },
+    planes: { control: 'fluxPlanesInput' },
+    bins: { control: 'binsSlider' },
+    window: { control: 'windowInput' },
+    fd: { control: 'fdSchemeSelect' },
+};
+
+/** What a lesson expression can read, by name: DiffusionSim fields and
+ *  getters, plus Dt = ∫D dt and the mean-squared displacements. */
+const LESSON_VARIABLES = {
+    time: sim => sim.time,
+    D: sim => sim.D,
+    Dt: sim => sim.integratedD(0, sim.time),
+    D2: sim => sim.D2,
+    gamma: sim => sim.gamma,
+    lambda: sim => sim.lambda,
+    gamma2: sim => sim.gamma2,
+    lambda2: sim => sim.lambda2,
+    partition: sim => sim.partition,
+    bias: sim => sim.bias,
+    driftVelocity: sim => sim.driftVelocity,
+    reactionRate: sim => sim.reactionRate,
+    trapFraction: sim => sim.trapFraction,
+    numAtoms: sim => sim.numAtoms,
+    loadedAtoms: sim => sim.loadedAtoms,
+    absorbed: sim => sim.absorbed,
+    reacted: sim => sim.reacted,
+    msd: sim => sim.msd.r,
+    msdx: sim => sim.msd.x,
+};
+const VARIABLE_NAMES = Object.keys(LESSON_VARIABLES);
+
+const DEFAULT_TOLERANCE = 0.1; // relative error accepted for a numeric answer
+
+/** Compile an answer expression. `Math.` and `sim.` prefixes are dropped,
+ *  so "Math.sqrt(2*sim.D*sim.time)" and "sqrt(2*D*time)" are the same. */
+export function compileLessonExpression(text) {
+    const f = compileExpression(String(text).replace(/\b(?:Math|sim)\./g, ''), VARIABLE_NAMES);
+    return sim => f(...VARIABLE_NAMES.map(name => LESSON_VARIABLES[name](sim)));
+}
+
+/**
+ * Read and check a lesson script (a JSON string or the parsed object).
+ * Throws an Error naming the step and field at the first problem.
+ *
+ * @typedef {object} LessonStep
+ * @property {string} title
+ * @property {string} text          HTML, with $…$ for KaTeX
+ * @property {number} [case]        switch to this case (restarts the run)
+ * @property {Object<string, number | string | number[]>} [params]  see LESSON_PARAMS
+ * @property {boolean} [reset]      restart the run after the params
+ * @property {number} [runUntil]    play until sim.time reaches this (s), then pause
+ * @property {string[]} highlight   CSS selectors to outline
+ * @property {LessonQuestion | null} question
+ *
+ * @typedef {object} LessonQuestion
+ * @property {'number' | 'choice'} type
+ * @property {string} prompt
+ * @property {(sim) => number} [expected]  number: the answer expression
+ * @property {number} [at]          number: evaluate with time (and Dt) at this t
+ * @property {number} [tolerance]   number: relative error accepted (default 0.1)
+ * @property {string} [unit]
+ * @property {string[]} [options]   choice: the options shown
+ * @property {string} [answer]      choice: the correct option
+ * @property {string} [hint]        shown after a wrong answer
+ *
+ * @returns {{id: string, title: string, description: string, steps: LessonStep[]}}
+ */
+export function parseLesson(source) {
+    const script = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!script || typeof script.title !== 'string') throw new Error('A lesson needs a "title"');
+    if (!Array.isArray(script.steps) || script.steps.length === 0) throw new Error('A lesson needs a non-empty "steps" list');
+    const steps = script.steps.map((step, i) => {
+        const fail = msg => { throw new Error(`Step ${i + 1}: ${msg}`); };
+        if (typeof step.title !== 'string' || typeof step.text !== 'string') fail('needs a "title" and a "text"');
+        if (step.case !== undefined && !Number.isInteger(step.case)) fail('"case" must be a case number');
+        for (const name of Object.keys(step.params ?? {})) {
+            if (!(name in LESSON_PARAMS)) fail(`unknown parameter "${name}" (use ${Object.keys(LESSON_PARAMS).join(', ')})`);
+        }
+        if (step.runUntil !== undefined && !(step.runUntil > 0)) fail('"runUntil" must be a time > 0 in seconds');
+        const highlight = step.highlight === undefined ? [] : [step.highlight].flat();
+        if (!highlight.every(h => typeof h === 'string')) fail('"highlight" must be CSS selectors, e.g. "#plotCanvas"');
+        let question = null;
+        try {
+            if (step.question) question = parseQuestion(step.question);
+        } catch (err) {
+            fail(err.message);
+        }
+        return {
+            title: step.title, text: step.text, case: step.case, params: step.params ?? {},
+            reset: !!step.reset, runUntil: step.runUntil, highlight, question,
+        };
+    });
+    return { id: script.id ?? script.title, title: script.title, description: script.description ?? '', steps };
+}
+
+function parseQuestion(q) {
+    if (typeof q.prompt !== 'string') throw new Error('a question needs a "prompt"');
+    const type = q.type ?? (Array.isArray(q.options) ? 'choice' : 'number');
+    const hint = q.hint ?? '';
+    if (type === 'choice') {
+        if (!Array.isArray(q.options) || q.options.length < 2) throw new Error('a choice question needs two or more "options"');
+        if (!q.options.includes(q.answer)) throw new Error(`"answer" must be one of the options, got "${q.answer}"`);
+        return { type, prompt: q.prompt, options: q.options.map(String), answer: q.answer, hint };
+    }
+    if (type !== 'number') throw new Error(`question "type" must be number or choice, got "${q.type}"`);
+    if (q.answer === undefined) throw new Error('a number question needs an "answer" (a number or an expression)');
+    if (q.at !== undefined && !(q.at >= 0)) throw new Error('"at" must be a time ≥ 0 in seconds');
+    const tolerance = q.tolerance ?? DEFAULT_TOLERANCE;
+    if (!(tolerance >= 0)) throw new Error('"tolerance" must be ≥ 0');
+    let expected;
+    try {
+        expected = compileLessonExpression(q.answer);
+    } catch (err) {
+        throw new Error(`"answer": ${err.message}`);
+    }
+    return { type, prompt: q.prompt, expected, at: q.at, tolerance, unit: q.unit ?? '', hint };
+}
+
+/** The value a number question expects from `sim` as it stands, or at
+ *  question.at: time and Dt are then taken at that time. */
+export function expectedAnswer(question, sim) {
+    if (question.at === undefined) return question.expected(sim);
+    return question.expected(Object.create(sim, { time: { value: question.at } }));
+}
+
+/** Grade a response: {correct, expected}, `expected` the number or option
+ *  the question wanted. A number is right within `tolerance` of it, relative. */
+export function checkAnswer(question, sim, response) {
+    if (question.type === 'choice') return { correct: response === question.answer, expected: question.answer };
+    const expected = expectedAnswer(question, sim);
+    const value = typeof response === 'number' ? response : parseFloat(response);
+    const correct = Number.isFinite(value) && Math.abs(value - expected) <= question.tolerance * Math.abs(expected);
+    return { correct, expected };
+}
@@ -1,12 +1,15 @@
-import { DiffusionSim } from './simulation.js';
-import { SceneManager, PlotManager } from './renderer.js';
-
-// ── Case metadata ──
-const CASE_META = {
-    1: { title: 'Semi-Infinite Diffusion', analyticsLabel: 'Analytical erfc' },
-    2: { title: 'Planar Source — Infinite Medium', analyticsLabel: 'Analytical Gaussian' },
-    3: { title: 'Thin Film — Semi-Infinite Body', analyticsLabel: 'Analytical Gaussian' },
-};
+import { DiffusionSim, MAX_ATOMS_IN_THREAD, parseSurfaceSchedule, parseTemperatureProgram, parseDiffusivityExpression } from './simulation.js';
+import { listScenarios } from './scenarios.js';
+import { SceneManager, PlotManager, CollapsePlot, ArrheniusPlot, MatanoPlot, PermeationPlot, MsdPlot, HeatmapPlot } from './renderer.js';
+import { SimRunner } from './sim-runner.js';
+import {
+    fitMetrics, arrheniusPoint, arrheniusFit, boltzmannMatano,
+    fluxScale, analyticalFlux, FluxRecord, timeLag, similarity, collapseProfile, collapseCurve,
+} from './analysis.js';
+import { currentProfileCSV, runParameters, ProfileSeries, RunHistory, historyView, profileAt, analyticalCurve } from './datasets.js';
+import { downloadText, downloadCanvas, CanvasRecorder } from './exporter.js';
+import { FiniteDifferenceSolver } from './solver.js';
+import { parseLesson, checkAnswer, LESSON_PARAMS } from './lesson.js';
 
 // ── DOM refs ──
 const viewport = document.getElementById('viewport');
@@ -19,6 +22,49 @@ const gammaVal = document.getElementById('gammaVal');
 const lambdaVal = document.getElementById('lambdaVal');
 const atomsVal = document.getElementById('atomsVal');
 const speedVal = document.getElementById('speedVal');
+const walkModeSelect = document.getElementById('walkModeSelect');
+const latticeGroup = document.getElementById('latticeGroup');
+const latticeSelect = document.getElementById('latticeSelect');
+const anisoSliders = {
+    x: document.getElementById('anisoXSlider'), y: document.getElementById('anisoYSlider'), z: document.getElementById('anisoZSlider'),
+};
+const anisoVals = { x: document.getElementById('anisoXVal'), y: document.getElementById('anisoYVal'), z: document.getElementById('anisoZVal') };
+const latticeRows = document.querySelectorAll('.latticeRow');
+const dAxisVals = { x: document.getElementById('dxVal'), y: document.getElementById('dyVal'), z: document.getElementById('dzVal') };
+const biasSlider = document.getElementById('biasSlider');
+const biasVal = document.getElementById('biasVal');
+const biasHint = document.getElementById('biasHint');
+const driftRow = document.getElementById('driftRow');
+const driftVal = document.getElementById('driftVal');
+const forceRow = document.getElementById('forceRow');
+const forceVal = document.getElementById('forceVal');
+const dcFormSelect = document.getElementById('dcFormSelect');
+const dcHint = document.getElementById('dcHint');
+const dcGroup = document.getElementById('dcGroup');
+const dcStrengthGroup = document.getElementById('dcStrengthGroup');
+const dcStrengthSlider = document.getElementById('dcStrengthSlider');
+const dcStrengthVal = document.getElementById('dcStrengthVal');
+const dcExprGroup = document.getElementById('dcExprGroup');
+const dcExprInput = document.getElementById('dcExprInput');
+const dcRow = document.getElementById('dcRow');
+const dcVal = document.getElementById('dcVal');
+const sinkSlider = document.getElementById('sinkSlider');
+const sinkVal = document.getElementById('sinkVal');
+const sinkRow = document.getElementById('sinkRow');
+const sinkLenVal = document.getElementById('sinkLenVal');
+const trapSlider = document.getElementById('trapSlider');
+const trapVal = document.getElementById('trapVal');
+const trapHint = document.getElementById('trapHint');
+const trapGroup = document.getElementById('trapGroup');
+const captureSlider = document.getElementById('captureSlider');
+const captureVal = document.getElementById('captureVal');
+const releaseSlider = document.getElementById('releaseSlider');
+const releaseVal = document.getElementById('releaseVal');
+const trapRows = document.querySelectorAll('.trapRow');
+const trapRatioVal = document.getElementById('trapRatioVal');
+const dEffVal = document.getElementById('dEffVal');
+const legendTrap = document.querySelectorAll('.legendTrap');
+const legendTrapLabel = document.getElementById('legendTrapLabel');
 const dVal = document.getElementById('dVal');
 const diffLenVal = document.getElementById('diffLenVal');
 const timeDisplay = document.getElementById('timeDisplay');
@@ -26,109 +72,1112 @@ const atomCountEl = document.getElementById('atomCount');
 const btnPlay = document.getElementById('btnPlay');
 const btnReset = document.getElementById('btnReset');
 const legendAnalLabel = document.getElementById('legendAnalLabel');
+const legendFd = document.getElementById('legendFd');
+const legendFdLabel = document.getElementById('legendFdLabel');
+const fdSchemeSelect = document.getElementById('fdSchemeSelect');
 const atomsLabel = document.getElementById('atomsLabel');
+const rmsVal = document.getElementById('rmsVal');
+const chi2Val = document.getElementById('chi2Val');
+const ksVal = document.getElementById('ksVal');
+const dFitVal = document.getElementById('dFitVal');
+const thicknessSlider = document.getElementById('thicknessSlider');
+const thicknessVal = document.getElementById('thicknessVal');
+const frontFaceSelect = document.getElementById('frontFaceSelect');
+const backFaceSelect = document.getElementById('backFaceSelect');
+const surfaceModeSelect = document.getElementById('surfaceModeSelect');
+const scheduleGroup = document.getElementById('scheduleGroup');
+const scheduleInput = document.getElementById('scheduleInput');
+const sourceShapeSelect = document.getElementById('sourceShapeSelect');
+const membraneSlider = document.getElementById('membraneSlider');
+const membraneVal = document.getElementById('membraneVal');
+const lagVal = document.getElementById('lagVal');
+const interfaceSlider = document.getElementById('interfaceSlider');
+const interfaceVal = document.getElementById('interfaceVal');
+const gamma2Slider = document.getElementById('gamma2Slider');
+const gamma2Val = document.getElementById('gamma2Val');
+const lambda2Slider = document.getElementById('lambda2Slider');
+const lambda2Val = document.getElementById('lambda2Val');
+const partitionSlider = document.getElementById('partitionSlider');
+const partitionVal = document.getElementById('partitionVal');
+const d2Val = document.getElementById('d2Val');
+const gammaModeSelect = document.getElementById('gammaModeSelect');
+const arrheniusGroup = document.getElementById('arrheniusGroup');
+const nu0Slider = document.getElementById('nu0Slider');
+const nu0Val = document.getElementById('nu0Val');
+const qSlider = document.getElementById('qSlider');
+const qVal = document.getElementById('qVal');
+const programInput = document.getElementById('programInput');
+const tempRow = document.getElementById('tempRow');
+const tempVal = document.getElementById('tempVal');
+const arrheniusSection = document.getElementById('arrheniusSection');
+const arrheniusCanvas = document.getElementById('arrheniusCanvas');
+const arrheniusFitVal = document.getElementById('arrheniusFitVal');
+const btnRecordD = document.getElementById('btnRecordD');
+const btnClearD = document.getElementById('btnClearD');
+const matanoSection = document.getElementById('matanoSection');
+const matanoCanvas = document.getElementById('matanoCanvas');
+const matanoVal = document.getElementById('matanoVal');
+const permeationSection = document.getElementById('permeationSection');
+const permeationCanvas = document.getElementById('permeationCanvas');
+const permeationVal = document.getElementById('permeationVal');
+const btnLogY = document.getElementById('btnLogY');
+const btnResetView = document.getElementById('btnResetView');
+const binsSlider = document.getElementById('binsSlider');
+const binsVal = document.getElementById('binsVal');
+const windowInput = document.getElementById('windowInput');
+const historySlider = document.getElementById('historySlider');
+const historyVal = document.getElementById('historyVal');
+const btnLive = document.getElementById('btnLive');
+const btnFreeze = document.getElementById('btnFreeze');
+const btnClearOverlays = document.getElementById('btnClearOverlays');
+const historyIntervalSelect = document.getElementById('historyIntervalSelect');
+const historyAtomsSelect = document.getElementById('historyAtomsSelect');
+const collapseCanvas = document.getElementById('collapseCanvas');
+const collapseVal = document.getElementById('collapseVal');
+const fluxPlanesInput = document.getElementById('fluxPlanesInput');
+const fluxPlanesVal = document.getElementById('fluxPlanesVal');
+const msdCanvas = document.getElementById('msdCanvas');
+const heatmapCanvas = document.getElementById('heatmapCanvas');
+const heatmapPlaneSelect = document.getElementById('heatmapPlaneSelect');
+const isoSlider = document.getElementById('isoSlider');
+const isoVal = document.getElementById('isoVal');
+const btnIso = document.getElementById('btnIso');
+const msdTracked = document.getElementById('msdTracked');
+const btnExportCsv = document.getElementById('btnExportCsv');
+const btnExportJson = document.getElementById('btnExportJson');
+const btnPlotPng = document.getElementById('btnPlotPng');
+const btnViewPng = document.getElementById('btnViewPng');
+const btnRecord = document.getElementById('btnRecord');
+const seriesInput = document.getElementById('seriesInput');
+const seriesStatus = document.getElementById('seriesStatus');
+const btnSeriesCsv = document.getElementById('btnSeriesCsv');
+const lessonSelect = document.getElementById('lessonSelect');
+const btnLessonStart = document.getElementById('btnLessonStart');
+const btnLessonFile = document.getElementById('btnLessonFile');
+const lessonFileInput = document.getElementById('lessonFileInput');
+const lessonPickerHint = document.getElementById('lessonPickerHint');
+const lessonPanel = document.getElementById('lessonPanel');
+const lessonTitle = document.getElementById('lessonTitle');
+const lessonProgress = document.getElementById('lessonProgress');
+const lessonStepTitle = document.getElementById('lessonStepTitle');
+const lessonText = document.getElementById('lessonText');
+const lessonQuestion = document.getElementById('lessonQuestion');
+const lessonPrompt = document.getElementById('lessonPrompt');
+const lessonAnswerInput = document.getElementById('lessonAnswerInput');
+const lessonUnit = document.getElementById('lessonUnit');
+const lessonOptions = document.getElementById('lessonOptions');
+const btnLessonCheck = document.getElementById('btnLessonCheck');
+const lessonFeedback = document.getElementById('lessonFeedback');
+const btnLessonBack = document.getElementById('btnLessonBack');
+const btnLessonNext = document.getElementById('btnLessonNext');
+const btnLessonRestart = document.getElementById('btnLessonRestart');
+const btnLessonExit = document.getElementById('btnLessonExit');
 
 // ── Init ──
-const sim = new DiffusionSim();
+// `?seed=123` in the URL makes the run reproducible; otherwise (or if the
+// seed is not an integer) Math.random() is used.
+const seedParam = new URLSearchParams(window.location.search).get('seed');
+const seed = seedParam !== null ? parseInt(seedParam, 10) : NaN;
+const sim = new DiffusionSim(Number.isInteger(seed) ? { seed } : {});
+const runner = new SimRunner(sim); // steps in a Web Worker when available
 const scene = new SceneManager(viewport);
 const plot = new PlotManager(plotCanvas);
+const collapsePlot = new CollapsePlot(collapseCanvas);
+const arrheniusPlot = new ArrheniusPlot(arrheniusCanvas);
+const matanoPlot = new MatanoPlot(matanoCanvas);
+const permeationPlot = new PermeationPlot(permeationCanvas);
+const msdPlot = new MsdPlot(msdCanvas);
+const heatmap = new HeatmapPlot(heatmapCanvas);
+const fdSolver = new FiniteDifferenceSolver();
+
+// ── Sidebar (built from the scenario registry) ──
+const caseList = document.getElementById('caseList');
+const caseTitle = document.getElementById('caseTitle');
+const caseSummary = document.getElementById('caseSummary');
+
+for (const scenario of listScenarios()) {
+    const color = '#' + scenario.color.toString(16).padStart(6, '0');
+    const btn = document.createElement('button');
+    btn.className = 'case-btn';
+    btn.dataset.case = scenario.id;
+    btn.innerHTML = `<div class="case-num">${scenario.id}</div>
+      <div>
+        <div class="case-title">${scenario.label}</div>
+        <div class="case-desc">${scenario.subtitle}</div>
+      </div>`;
+    const badge = btn.querySelector('.case-num');
+    badge.style.color = color;
+    badge.style.background = color + '2e'; // 18% alpha
+    btn.addEventListener('click', () => switchCase(scenario.id));
+    caseList.appendChild(btn);
+}
 
 // ── Case switching ──
 const caseBtns = document.querySelectorAll('.case-btn');
-const caseHeaders = document.querySelectorAll('.case-header');
 const caseDetails = document.querySelectorAll('.case-details');
+const caseControls = document.querySelectorAll('.case-controls');
+
+function slabOptions() {
+    return {
+        thickness: parseFloat(thicknessSlider.value),
+        frontFace: frontFaceSelect.value,
+        backFace: backFaceSelect.value,
+    };
+}
 
 function switchCase(n) {
-    sim.setCase(n);
-    scene.setupForCase(n);
+    runner.call('setCase', n);
+    scene.clearTrails();
+    scene.setupForCase(sim);
     scene.updateAtoms(sim);
 
     // Sidebar active state
     caseBtns.forEach(b => b.classList.toggle('active', parseInt(b.dataset.case) === n));
 
-    // Header visibility
-    caseHeaders.forEach(h => h.style.display = parseInt(h.dataset.case) === n ? '' : 'none');
+    // Header, explanation and case-specific controls
+    const scenario = sim.scenario;
+    caseTitle.textContent = `Case ${n} — ${scenario.title}`;
+    caseSummary.innerHTML = scenario.summary;
     caseDetails.forEach(d => d.style.display = parseInt(d.dataset.case) === n ? '' : 'none');
+    caseControls.forEach(c => c.style.display = parseInt(c.dataset.case) === n ? '' : 'none');
 
-    legendAnalLabel.textContent = CASE_META[n].analyticsLabel;
+    legendAnalLabel.textContent = analyticsLabel();
 
-    // Slider label: Case 1 = concentration, Cases 2&3 = atom count
-    atomsLabel.textContent = n === 1 ? 'Surface Conc. (C₀)' : 'Number of Atoms';
+    // Slider label: fixed-C₀ surfaces = concentration, planar sources = atom count
+    atomsLabel.textContent = sim.surfaceNormalized ? 'Surface Conc. (C₀)' : 'Number of Atoms';
 
-    // Pause on switch
-    sim.running = false;
-    btnPlay.textContent = '▶ Play';
-    btnPlay.classList.remove('active');
+    // Pause on switch; frozen profiles belong to the old case
+    replayFrame = null;
+    overlays.length = 0;
+    setRunning(false);
 
     updateUI();
 }
 
-caseBtns.forEach(b => b.addEventListener('click', () => switchCase(parseInt(b.dataset.case))));
+function analyticsLabel() {
+    // The closed forms assume a constant D = Γλ²/6
+    const label = sim.scenario.analyticsLabel(sim) + (sim.concentrationDependent ? ' (constant D)' : '');
+    if (!sim.reactive) return label;
+    return label + (sim.reactionSolution === null ? ' (no sink/traps)' : ' with sink/traps, mobile');
+}
+
+// ── Case 1 surface mode (changing it restarts the run) ──
+function onSurfaceChange() {
+    const mode = surfaceModeSelect.value;
+    scheduleGroup.style.display = mode === 'schedule' ? '' : 'none';
+    let schedule = sim.surfaceSchedule;
+    try {
+        schedule = parseSurfaceSchedule(scheduleInput.value);
+        scheduleInput.classList.remove('invalid');
+        scheduleInput.title = '';
+    } catch (err) {
+        // Keep the last valid schedule until the text parses again
+        scheduleInput.classList.add('invalid');
+        scheduleInput.title = err.message;
+    }
+    runner.call('setSurface', { mode, schedule });
+    legendAnalLabel.textContent = analyticsLabel();
+    updateUI();
+    scene.updateAtoms(sim);
+}
+surfaceModeSelect.addEventListener('change', onSurfaceChange);
+scheduleInput.addEventListener('change', onSurfaceChange);
+
+// ── Case 4 slab geometry (changing it restarts the run) ──
+function onSlabChange() {
+    thicknessVal.textContent = parseFloat(thicknessSlider.value).toFixed(1) + ' µm';
+    runner.call('setSlab', slabOptions());
+    if (sim.caseNum !== 4) return;
+    scene.setupForCase(sim);
+    atomsLabel.textContent = sim.surfaceNormalized ? 'Surface Conc. (C₀)' : 'Number of Atoms';
+    updateUI();
+    scene.updateAtoms(sim);
+}
+thicknessSlider.addEventListener('input', onSlabChange);
+frontFaceSelect.addEventListener('change', onSlabChange);
+backFaceSelect.addEventListener('change', onSlabChange);
+
+// ── Case 5 interface position (moving it restarts the run) ──
+function onInterfaceChange() {
+    const x = parseFloat(interfaceSlider.value);
+    interfaceVal.textContent = x.toFixed(1) + ' µm';
+    runner.call('setInterface', x);
+    if (sim.caseNum !== 5) return;
+    scene.setupForCase(sim);
+    updateUI();
+    scene.updateAtoms(sim);
+}
+interfaceSlider.addEventListener('input', onInterfaceChange);
+
+// ── Case 6 source shape (changing it restarts the run) ──
+sourceShapeSelect.addEventListener('change', () => {
+    runner.call('configure', { sourceShape: sourceShapeSelect.value });
+    if (sim.caseNum !== 6) return;
+    scene.clearTrails();
+    scene.setupForCase(sim);
+    legendAnalLabel.textContent = analyticsLabel();
+    updateUI();
+    scene.updateAtoms(sim);
+});
+
+// ── Case 7 membrane thickness (changing it restarts the run) ──
+function onMembraneChange() {
+    membraneVal.textContent = parseFloat(membraneSlider.value).toFixed(1) + ' µm';
+    runner.call('configure', { membraneThickness: parseFloat(membraneSlider.value) });
+    if (sim.caseNum !== 7) return;
+    scene.setupForCase(sim);
+    updateUI();
+    scene.updateAtoms(sim);
+}
+membraneSlider.addEventListener('input', onMembraneChange);
+
+// ── Arrhenius jump frequency (changing it restarts the run) ──
+function onTemperatureChange() {
+    const mode = gammaModeSelect.value;
+    const arrhenius = mode === 'arrhenius';
+    arrheniusGroup.style.display = tempRow.style.display = arrheniusSection.style.display = arrhenius ? '' : 'none';
+    gammaSlider.disabled = arrhenius;
+    nu0Val.textContent = Math.pow(10, parseFloat(nu0Slider.value)).toExponential(1) + ' Hz';
+    qVal.textContent = parseFloat(qSlider.value).toFixed(2) + ' eV';
+    let program = sim.temperatureProgram;
+    try {
+        program = parseTemperatureProgram(programInput.value);
+        programInput.classList.remove('invalid');
+        programInput.title = '';
+    } catch (err) {
+        // Keep the last valid program until the text parses again
+        programInput.classList.add('invalid');
+        programInput.title = err.message;
+    }
+    runner.call('setTemperature', {
+        mode,
+        nu0: Math.pow(10, parseFloat(nu0Slider.value)),
+        activationEnergy: parseFloat(qSlider.value),
+        program,
+    });
+    if (arrhenius) {
+        arrheniusPlot.resize(); // its canvas had no size while hidden
+        drawArrhenius();
+    }
+    updateUI();
+    scene.updateAtoms(sim);
+}
+gammaModeSelect.addEventListener('change', onTemperatureChange);
+nu0Slider.addEventListener('input', onTemperatureChange);
+qSlider.addEventListener('input', onTemperatureChange);
+programInput.addEventListener('change', onTemperatureChange);
+
+// ── Walk: continuous or lattice (changing it restarts the run) ──
+function onWalkChange() {
+    const mode = walkModeSelect.value;
+    latticeGroup.style.display = mode === 'lattice' ? '' : 'none';
+    const anisotropy = {};
+    for (const axis of ['x', 'y', 'z']) {
+        anisotropy[axis] = parseFloat(anisoSliders[axis].value);
+        anisoVals[axis].textContent = anisotropy[axis].toFixed(2);
+    }
+    runner.call('setWalk', { mode, lattice: latticeSelect.value, anisotropy });
+    scene.clearTrails();
+    legendAnalLabel.textContent = analyticsLabel();
+    updateUI();
+    scene.updateAtoms(sim);
+}
+walkModeSelect.addEventListener('change', onWalkChange);
+latticeSelect.addEventListener('change', onWalkChange);
+for (const axis of ['x', 'y', 'z']) anisoSliders[axis].addEventListener('input', onWalkChange);
+
+// ── Arrhenius plot: D measured at several temperatures ──
+const arrheniusPoints = [];
+function drawArrhenius() {
+    const fit = arrheniusFit(arrheniusPoints);
+    arrheniusFitVal.textContent = fit
+        ? `Fit: Q = ${fit.Q.toFixed(3)} eV, D₀ = ${fit.D0.toExponential(2)} µm²/s`
+        : 'Record runs at two or more temperatures';
+    arrheniusPlot.draw(arrheniusPoints, sim, fit);
+}
+btnRecordD.addEventListener('click', () => {
+    const p = arrheniusPoint(sim);
+    if (!p) {
+        arrheniusFitVal.textContent = 'D from ⟨x²⟩ needs a running Case 2, Case 3 or constant-C₀ Case 1';
+        return;
+    }
+    arrheniusPoints.push(p);
+    drawArrhenius();
+});
+btnClearD.addEventListener('click', () => {
+    arrheniusPoints.length = 0;
+    drawArrhenius();
+});
 
 // ── Controls ──
 function readControls() {
-    sim.gamma = parseFloat(gammaSlider.value);
+    // In Arrhenius mode Γ follows the temperature program: step() sets it, and
+    // in worker mode it comes back with each frame's state
+    if (!sim.arrhenius) sim.gamma = parseFloat(gammaSlider.value);
     sim.lambda = parseFloat(lambdaSlider.value) / 100;
     sim.speed = parseFloat(speedSlider.value) / 10;
+    sim.bias = parseFloat(biasSlider.value);
+    sim.gamma2 = parseFloat(gamma2Slider.value);
+    sim.lambda2 = parseFloat(lambda2Slider.value) / 100;
+    sim.partition = parseFloat(partitionSlider.value);
+    sim.diffusivityForm = dcFormSelect.value;
+    sim.diffusivityStrength = parseFloat(dcStrengthSlider.value);
+    sim.reactionRate = parseFloat(sinkSlider.value);
+    sim.trapFraction = parseFloat(trapSlider.value);
+    sim.trapCapture = parseFloat(captureSlider.value);
+    sim.trapRelease = parseFloat(releaseSlider.value);
     const newN = parseInt(atomsSlider.value);
-    if (newN !== sim.numAtoms) sim.setNumAtoms(newN);
+    if (newN !== sim.loadedAtoms) runner.call('setNumAtoms', newN);
 }
 
 function updateUI() {
     readControls();
-    gammaVal.textContent = sim.gamma + ' Hz';
+    gammaVal.textContent = (sim.arrhenius ? sim.gamma.toPrecision(3) : sim.gamma) + ' Hz';
+    tempVal.textContent = sim.temperatureAt(sim.time).toFixed(0) + ' K';
     lambdaVal.textContent = sim.lambda.toFixed(2) + ' µm';
-    if (sim.caseNum === 1) {
-        // Show as relative concentration
-        const pct = (sim.numAtoms / 5000 * 100).toFixed(0);
+    if (sim.surfaceNormalized) {
+        // Show as relative concentration, against the in-thread maximum so the
+        // reading doesn't depend on whether the worker started
+        const pct = (sim.loadedAtoms / MAX_ATOMS_IN_THREAD * 100).toFixed(0);
         atomsVal.textContent = pct + '%';
     } else {
-        atomsVal.textContent = sim.numAtoms;
+        atomsVal.textContent = sim.loadedAtoms;
     }
     speedVal.textContent = sim.speed.toFixed(1) + '×';
+    gamma2Val.textContent = sim.gamma2 + ' Hz';
+    lambda2Val.textContent = sim.lambda2.toFixed(2) + ' µm';
+    partitionVal.textContent = sim.partition.toFixed(1);
+    d2Val.textContent = sim.D2.toFixed(4) + ' µm²/s';
     dVal.textContent = sim.D.toFixed(4) + ' µm²/s';
-    const dl = sim.time > 0 ? Math.sqrt(2 * sim.D * sim.time).toFixed(2) : '0.00';
+    const lattice = sim.walkMode === 'lattice';
+    latticeRows.forEach(r => r.style.display = lattice ? '' : 'none');
+    if (lattice) {
+        const D = sim.diffusivity;
+        for (const axis of ['x', 'y', 'z']) dAxisVals[axis].textContent = D[axis].toFixed(4) + ' µm²/s';
+    }
+    updateDrift();
+    updateDiffusivity();
+    updateReactions();
+    const dl = sim.time > 0 ? Math.sqrt(2 * sim.integratedD(0, sim.time)).toFixed(2) : '0.00';
     diffLenVal.textContent = dl + ' µm';
     timeDisplay.textContent = `t = ${sim.time.toFixed(2)} s`;
     const inView = sim.countInView();
-    atomCountEl.textContent = `${inView} in view / ${sim.numAtoms} total`;
+    atomCountEl.textContent = `${inView} in view / ${sim.numAtoms} total`
+        + (sim.absorbed > 0 ? ` · ${sim.absorbed} absorbed` : '')
+        + (sim.reacted > 0 ? ` · ${sim.reacted} reacted` : '');
+}
+
+// ── Drift bias (applies only in cases whose analytics include it) ──
+const NO_DRIFT_HINT = 'no drift solution for this case, walk or D(C) — the jumps stay unbiased';
+const DRIFT_HINT = biasHint.textContent;
+function updateDrift() {
+    const supported = sim.walkMode === 'continuous' && !sim.concentrationDependent && !!sim.scenario.drift?.(sim);
+    biasSlider.disabled = !supported;
+    biasHint.textContent = supported ? DRIFT_HINT : NO_DRIFT_HINT;
+    biasVal.textContent = (sim.bias >= 0 ? '+' : '') + sim.bias.toFixed(2);
+    const drifting = sim.driftBias !== 0;
+    driftRow.style.display = forceRow.style.display = drifting ? '' : 'none';
+    if (!drifting) return;
+    driftVal.textContent = sim.driftVelocity.toFixed(3) + ' µm/s';
+    forceVal.textContent = (sim.driftVelocity / sim.D).toFixed(2) + ' µm⁻¹';
+}
+
+biasSlider.addEventListener('input', () => {
+    updateUI();
+    legendAnalLabel.textContent = analyticsLabel();
+});
+
+// ── Concentration-dependent D (applies where the profile is C/C₀) ──
+const NO_DC_HINT = 'needs a C/C₀ profile: Case 1 outgassing or schedule, Case 4 source face or Case 5 — D stays constant';
+const DC_HINT = dcHint.textContent;
+function updateDiffusivity() {
+    const form = dcFormSelect.value;
+    dcGroup.style.display = form === 'constant' ? 'none' : '';
+    dcStrengthGroup.style.display = form === 'linear' || form === 'exponential' ? '' : 'none';
+    dcExprGroup.style.display = form === 'custom' ? '' : 'none';
+    dcStrengthVal.textContent = sim.diffusivityStrength.toFixed(1);
+    const supported = sim.profileNormalization === 'reservoir';
+    dcHint.textContent = supported || form === 'constant' ? DC_HINT : NO_DC_HINT;
+    const active = sim.concentrationDependent;
+    dcRow.style.display = active ? '' : 'none';
+    if (active) {
+        const f = sim.concentrationFactor;
+        dcVal.textContent = `${(sim.D * f(0)).toFixed(3)} … ${(sim.D * f(1)).toFixed(3)} µm²/s`;
+    }
+    const show = active ? '' : 'none';
+    if (matanoSection.style.display !== show) {
+        matanoSection.style.display = show;
+        if (active) matanoPlot.resize(); // its canvas had no size while hidden
+    }
+}
+
+function onDiffusivityChange() {
+    try {
+        parseDiffusivityExpression(dcExprInput.value);
+        sim.diffusivityExpression = dcExprInput.value;
+        dcExprInput.classList.remove('invalid');
+        dcExprInput.title = '';
+    } catch (err) {
+        // Keep the last valid expression until the text parses again
+        dcExprInput.classList.add('invalid');
+        dcExprInput.title = err.message;
+    }
+    updateUI();
+    legendAnalLabel.textContent = analyticsLabel();
+    lastMatanoTime = -Infinity;
+}
+dcFormSelect.addEventListener('change', onDiffusivityChange);
+dcStrengthSlider.addEventListener('input', onDiffusivityChange);
+dcExprInput.addEventListener('change', onDiffusivityChange);
+
+// ── Sink and traps ──
+const TRAP_HINT = trapHint.textContent;
+function updateReactions() {
+    sinkVal.textContent = sim.reactionRate.toFixed(2) + ' s⁻¹';
+    trapVal.textContent = (sim.trapFraction * 100).toFixed(0) + '%';
+    captureVal.textContent = sim.trapCapture.toFixed(1) + ' Hz';
+    releaseVal.textContent = sim.trapRelease.toFixed(1) + ' Hz';
+    const trapping = sim.trapping;
+    trapGroup.style.display = trapping ? '' : 'none';
+    trapHint.textContent = trapping && sim.reactionSolution === null
+        ? 'no closed form with traps here: compare with the finite-difference reference' : TRAP_HINT;
+    sinkRow.style.display = sim.reactionRate > 0 ? '' : 'none';
+    if (sim.reactionRate > 0) sinkLenVal.textContent = Math.sqrt(sim.D * sim.trapSlowdown / sim.reactionRate).toFixed(2) + ' µm';
+    trapRows.forEach(r => r.style.display = trapping ? '' : 'none');
+    const solved = trapping && sim.reactionSolution !== null;
+    legendTrap.forEach((item, i) => item.style.display = trapping && (i === 0 || solved) ? '' : 'none');
+    if (!trapping) return;
+    trapRatioVal.textContent = sim.trapRatio.toFixed(2);
+    dEffVal.textContent = (sim.D * sim.trapSlowdown).toFixed(4) + ' µm²/s';
+    legendTrapLabel.textContent = `Trapped, K × mobile (K = ${sim.trapRatio.toFixed(2)})`;
+}
+
+function onReactionChange() {
+    updateUI();
+    legendAnalLabel.textContent = analyticsLabel();
+}
+for (const slider of [sinkSlider, trapSlider, captureSlider, releaseSlider]) slider.addEventListener('input', onReactionChange);
+
+// ── Boltzmann–Matano: D(C) back out of the binned profile ──
+let lastMatanoTime = -Infinity;
+function updateMatano(now) {
+    if (!sim.concentrationDependent || now - lastMatanoTime < FIT_INTERVAL) return;
+    lastMatanoTime = now;
+    const result = boltzmannMatano(sim);
+    matanoVal.textContent = result
+        ? `x_M = ${result.origin.toFixed(2)} µm, t = ${sim.time.toFixed(1)} s`
+        : sim.time > 0 ? 'needs a step that has not changed since t = 0 and a profile spanning ΔC/C₀ ≥ 0.2'
+            : 'Run to build a profile';
+    matanoPlot.draw(result?.points ?? []);
+}
+
+// ── Permeation and flux planes: counted crossings against the analytical flux ──
+const FLUX_HINT = fluxPlanesVal.textContent;
+const fluxRecord = new FluxRecord();
+let lastFluxTime = -Infinity;
+
+function onFluxPlanesChange() {
+    const xs = fluxPlanesInput.value.split(',').map(x => x.trim()).filter(Boolean).map(Number);
+    const valid = xs.every(Number.isFinite);
+    fluxPlanesInput.classList.toggle('invalid', !valid);
+    fluxPlanesInput.title = valid ? '' : 'Comma-separated positions in µm, e.g. 0.5, 2';
+    if (!valid) return;
+    runner.call('setFluxPlanes', xs);
+    lastFluxTime = -Infinity;
+}
+fluxPlanesInput.addEventListener('change', onFluxPlanesChange);
+
+function updateFlux(now) {
+    fluxRecord.record(sim);
+    const L = sim.scenario.permeation?.(sim) ?? null;
+    const show = L !== null ? '' : 'none';
+    if (permeationSection.style.display !== show) {
+        permeationSection.style.display = show;
+        if (L !== null) permeationPlot.resize(); // its canvas had no size while hidden
+    }
+    if (now - lastFluxTime < FIT_INTERVAL) return;
+    lastFluxTime = now;
+    const scale = fluxScale(sim);
+    const unit = sim.profileNormalization === 'reservoir' ? 'C₀·µm/s' : 'M/s';
+    fluxPlanesVal.textContent = sim.fluxPlanes.length === 0 ? FLUX_HINT : sim.fluxPlanes.map((x, k) => {
+        const rate = fluxRecord.rate(s => s.planes[k]);
+        if (scale === null || rate === null) return `x = ${x}: ${sim.planeCrossings[k]} net crossings`;
+        const J = analyticalFlux(sim, x);
+        return `x = ${x}: J = ${(rate * scale).toFixed(4)} ${unit}`
+            + (J !== null ? ` (analytical ${J.toFixed(4)})` : '');
+    }).join(' · ');
+    if (L === null) return;
+    lagVal.textContent = (L * L / (6 * sim.diffusivityAt(sim.time))).toFixed(2) + ' s';
+    const fit = sim.arrhenius ? null : timeLag(fluxRecord, L, scale);
+    if (fit) {
+        permeationVal.textContent = `t_lag = ${fit.lag.toFixed(2)} s → D = ${fit.D.toFixed(3)} µm²/s`
+            + ` · slope → D = ${fit.DSlope.toFixed(3)} µm²/s`
+            + (fit.steady ? '' : ' · not yet steady (t < 6 t_lag)');
+    } else {
+        permeationVal.textContent = sim.arrhenius ? 'the time lag needs a constant D' : 'Run to build up Q(t)';
+    }
+    permeationPlot.draw(fluxRecord, sim, L, scale, fit);
+}
+
+// ── Fit metrics (KS sorts every atom, so refresh a few times a second) ──
+const FIT_INTERVAL = 250; // ms
+let lastFitTime = -Infinity;
+function updateFit(now) {
+    if (now - lastFitTime < FIT_INTERVAL) return;
+    lastFitTime = now;
+    if (sim.time <= 0) {
+        rmsVal.textContent = chi2Val.textContent = ksVal.textContent = dFitVal.textContent = '—';
+        return;
+    }
+    const m = fitMetrics(sim);
+    rmsVal.textContent = m.rms.toExponential(2);
+    chi2Val.textContent = (m.chi2 / m.dof).toFixed(2) + ` (${m.dof} dof)`;
+    ksVal.textContent = m.ks ? `${m.ks.d.toFixed(4)} / ${m.ks.critical.toFixed(4)}` : 'n/a';
+    if (Number.isFinite(m.dFit)) {
+        // ⟨x²⟩ measures the time-averaged D, which differs from sim.D when Γ follows
+        // a temperature ramp, and the trap-slowed D/(1 + K) once traps hold atoms back
+        const dev = (m.dFit * sim.time / (sim.integratedD(0, sim.time) * sim.trapSlowdown) - 1) * 100;
+        dFitVal.textContent = `${m.dFit.toFixed(4)} (${dev >= 0 ? '+' : ''}${dev.toFixed(1)}%)`;
+    } else {
+        dFitVal.textContent = 'n/a';
+    }
 }
 
 gammaSlider.addEventListener('input', updateUI);
 lambdaSlider.addEventListener('input', updateUI);
+gamma2Slider.addEventListener('input', updateUI);
+lambda2Slider.addEventListener('input', updateUI);
+partitionSlider.addEventListener('input', updateUI);
 atomsSlider.addEventListener('input', updateUI);
 speedSlider.addEventListener('input', updateUI);
 
+function setRunning(running) {
+    sim.running = running;
+    btnPlay.textContent = running ? '⏸ Pause' : '▶ Play';
+    btnPlay.classList.toggle('active', running);
+}
 btnPlay.addEventListener('click', () => {
-    sim.running = !sim.running;
-    btnPlay.textContent = sim.running ? '⏸ Pause' : '▶ Play';
-    btnPlay.classList.toggle('active', sim.running);
+    replayFrame = null; // playing carries on from the live state
+    setRunning(!sim.running);
 });
 
 btnReset.addEventListener('click', () => {
-    sim.reset();
+    runner.call('reset');
+    scene.clearTrails();
     updateUI();
     scene.updateAtoms(sim);
 });
 
+// ── Trajectories: click an atom in the 3D view to follow it ──
+viewport.addEventListener('click', e => {
+    const i = scene.pickAtom(e.clientX, e.clientY);
+    if (i < 0) return;
+    scene.toggleTrail(sim.ids[i]);
+    scene.updateAtoms(sim);
+});
+
+// ── MSD history (one sample per frame, halved when full) ──
+const MSD_MAX_SAMPLES = 600;
+const msdSamples = [];
+function recordMsd() {
+    const last = msdSamples[msdSamples.length - 1];
+    if (last && sim.time < last.t) msdSamples.length = 0; // the run restarted
+    if (last && sim.time === last.t) return;
+    const { x, y, z, r, tracked } = sim.msd;
+    const Dt = {};
+    for (const axis of ['x', 'y', 'z']) Dt[axis] = sim.integratedD(0, sim.time, axis);
+    msdSamples.push({ t: sim.time, x, y, z, r, Dt, shift: sim.driftShift(0, sim.time) });
+    if (msdSamples.length > MSD_MAX_SAMPLES) {
+        let i = 1;
+        for (let j = 2; j < msdSamples.length; j += 2) msdSamples[i++] = msdSamples[j];
+        msdSamples.length = i;
+    }
+    msdTracked.textContent = `${tracked} atoms tracked since t = 0`;
+}
+
+// ── Profile plot: wheel zoom, drag pan, crosshair, log y, bins and window ──
+let dragX = null; // last pointer x while dragging, in CSS px
+plotCanvas.addEventListener('wheel', e => {
+    e.preventDefault();
+    plot.zoom(e.offsetX, e.deltaY > 0 ? 1.2 : 1 / 1.2);
+}, { passive: false });
+plotCanvas.addEventListener('pointerdown', e => {
+    dragX = e.offsetX;
+    plotCanvas.setPointerCapture(e.pointerId);
+});
+plotCanvas.addEventListener('pointermove', e => {
+    plot.pointer = { x: e.offsetX, y: e.offsetY };
+    if (dragX === null) return;
+    plot.pan(e.offsetX - dragX);
+    dragX = e.offsetX;
+});
+plotCanvas.addEventListener('pointerup', () => { dragX = null; });
+plotCanvas.addEventListener('pointercancel', () => { dragX = null; });
+plotCanvas.addEventListener('pointerleave', () => { plot.pointer = null; });
+plotCanvas.addEventListener('dblclick', () => plot.resetView());
+btnResetView.addEventListener('click', () => plot.resetView());
+btnLogY.addEventListener('click', () => {
+    plot.setLogY(!plot.logY);
+    btnLogY.classList.toggle('active', plot.logY);
+});
+
+/** Re-bin the profile over the chosen window; the 3D box follows the window. */
+function onViewChange() {
+    const bins = parseInt(binsSlider.value);
+    binsVal.textContent = bins;
+    const xs = windowInput.value.split(',').map(x => x.trim()).filter(Boolean).map(Number);
+    const valid = xs.length === 0 || (xs.length === 2 && xs.every(Number.isFinite) && xs[1] > xs[0]);
+    windowInput.classList.toggle('invalid', !valid);
+    windowInput.title = valid ? '' : 'Two positions in µm, min < max, e.g. -2, 8';
+    runner.call('setView', { bins, window: valid && xs.length === 2 ? xs : valid ? null : sim.viewWindow });
+    scene.setupForCase(sim);
+    scene.updateAtoms(sim);
+    plot.resetView();
+    updateUI();
+}
+binsSlider.addEventListener('input', onViewChange);
+windowInput.addEventListener('change', onViewChange);
+
+// ── History: replay recorded frames, freeze profiles, collapse them onto x/√(Dt) ──
+const OVERLAY_COLORS = ['#ff6b9d', '#2ecc71', '#c39bff', '#feca57', '#54a0ff', '#1dd1a1'];
+const runHistory = new RunHistory();
+let replayFrame = null; // recorded frame shown instead of the live run
+const overlays = [];    // frozen profiles, oldest first, at most one per colour
+let overlayCount = 0;
+let lastCollapseTime = -Infinity;
+
+historySlider.addEventListener('input', () => {
+    const frame = runHistory.frames[parseInt(historySlider.value)];
+    if (!frame) return;
+    if (!replayFrame) {
+        setRunning(false);
+        scene.clearTrails(); // trails follow live atoms
+    }
+    replayFrame = frame;
+    lastCollapseTime = -Infinity;
+});
+btnLive.addEventListener('click', () => {
+    replayFrame = null;
+    lastCollapseTime = -Infinity;
+});
+function onHistoryOptionsChange() {
+    runHistory.configure({ interval: parseFloat(historyIntervalSelect.value), atoms: parseInt(historyAtomsSelect.value) });
+    replayFrame = null;
+}
+historyIntervalSelect.addEventListener('change', onHistoryOptionsChange);
+historyAtomsSelect.addEventListener('change', onHistoryOptionsChange);
+
+/** The sim as the 3D view and the profile plot show it: live, or at the replayed frame. */
+function shownSim() {
+    return replayFrame ? historyView(sim, replayFrame) : sim;
+}
+
+btnFreeze.addEventListener('click', () => {
+    const shown = shownSim();
+    if (shown.time <= 0) return;
+    const profile = profileAt(shown);
+    overlays.push({
+        time: shown.time, color: OVERLAY_COLORS[overlayCount++ % OVERLAY_COLORS.length],
+        centers: profile.centers, simulated: profile.simulated, curve: analyticalCurve(shown),
+        collapse: collapseProfile(shown, profile),
+    });
+    if (overlays.length > OVERLAY_COLORS.length) overlays.shift();
+    lastCollapseTime = -Infinity;
+});
+btnClearOverlays.addEventListener('click', () => {
+    overlays.length = 0;
+    lastCollapseTime = -Infinity;
+});
+
+function updateHistory() {
+    runHistory.record(sim);
+    const frames = runHistory.frames;
+    if (replayFrame && !frames.includes(replayFrame)) replayFrame = null; // the run restarted
+    historySlider.max = Math.max(frames.length - 1, 0);
+    if (!replayFrame) {
+        historySlider.value = historySlider.max;
+        historyVal.textContent = `Live · ${frames.length} frames`;
+        return;
+    }
+    historyVal.textContent = `t = ${replayFrame.time.toFixed(2)} of ${sim.time.toFixed(2)} s`
+        + (replayFrame.ids.length === 0 ? ' · no atoms recorded'
+            : replayFrame.stride > 1 ? ` · 1 in ${replayFrame.stride} atoms` : '');
+}
+
+function updateCollapse(now, shown) {
+    if (now - lastCollapseTime < FIT_INTERVAL) return;
+    lastCollapseTime = now;
+    const series = overlays.filter(o => o.collapse).map(o => ({ color: o.color, ...o.collapse }));
+    const current = collapseProfile(shown, profileAt(shown));
+    if (current) series.push({ color: '#ff9f43', ...current });
+    const etas = series.flatMap(p => p.eta);
+    const curve = etas.length ? collapseCurve(shown, Math.min(...etas), Math.max(...etas)) : null;
+    const s = similarity(shown);
+    if (s) {
+        collapseVal.textContent = `x₀ = ${s.origin.toFixed(2)} µm · √(Dt) = ${s.root.toFixed(2)} µm`
+            + (shown.concentrationDependent ? ' · the curve is for constant D' : '');
+    } else if (shown.time <= 0) {
+        collapseVal.textContent = 'Run, then freeze profiles at a few times';
+    } else {
+        collapseVal.textContent = shown.reactive ? 'a sink or traps add a time scale, so profiles do not collapse'
+            : 'this setup has its own length or time scale, so profiles do not collapse';
+    }
+    const { axis } = shown.profile;
+    collapsePlot.draw(series, curve, `η = ${axis === 'x' ? '(x − x₀)' : axis} / √(Dt)`,
+        shown.profileNormalization === 'density' ? 'Density × √(Dt)' : 'C / C₀');
+}
+
+// ── Finite-difference reference curve (solved on the main thread, following the mirror sim) ──
+fdSchemeSelect.addEventListener('change', () => {
+    if (fdSchemeSelect.value !== 'off') fdSolver.setScheme(fdSchemeSelect.value);
+});
+/** The solver brought up to sim.time, or null when it is off or the case has no continuum model. */
+function syncReference() {
+    const on = fdSchemeSelect.value !== 'off' && fdSolver.sync(sim);
+    legendFd.style.display = on ? '' : 'none';
+    if (on) legendFdLabel.textContent = `Finite difference (${fdSolver.label})`;
+    return on ? fdSolver : null;
+}
+
+// ── Concentration field: plane heatmap and 3D isosurface ──
+let showIsosurface = false;
+isoSlider.addEventListener('input', () => {
+    isoVal.textContent = `${Math.round(parseFloat(isoSlider.value) * 100)}% of peak`;
+});
+btnIso.addEventListener('click', () => {
+    showIsosurface = !showIsosurface;
+    btnIso.classList.toggle('active', showIsosurface);
+    scene.setVolumeVisible(showIsosurface);
+});
+
+// ── Export ──
+/** File name stem naming the case and the current time, e.g. "diffusion-case2-t5.00s". */
+function exportName() {
+    return `diffusion-case${sim.caseNum}-t${sim.time.toFixed(2)}s`;
+}
+btnExportCsv.addEventListener('click', () => downloadText(currentProfileCSV(sim, 200, syncReference()), exportName() + '.csv'));
+btnExportJson.addEventListener('click', () => {
+    downloadText(JSON.stringify(runParameters(sim), null, 2) + '\n', exportName() + '.json', 'application/json');
+});
+btnPlotPng.addEventListener('click', () => downloadCanvas(plotCanvas, exportName() + '-plot.png'));
+btnViewPng.addEventListener('click', () => {
+    scene.render(); // the WebGL buffer is only readable in the task that drew it
+    downloadCanvas(scene.renderer.domElement, exportName() + '-3d.png');
+});
+
+const recorder = new CanvasRecorder([scene.renderer.domElement, plotCanvas]);
+btnRecord.disabled = !CanvasRecorder.supported;
+btnRecord.addEventListener('click', () => {
+    if (recorder.recording) recorder.stop(exportName() + '.webm');
+    else recorder.start();
+    btnRecord.classList.toggle('recording', recorder.recording);
+    btnRecord.textContent = recorder.recording ? '■ Stop' : '● Rec';
+});
+
+const series = new ProfileSeries();
+function onSeriesChange() {
+    const times = seriesInput.value.split(',').map(t => t.trim()).filter(Boolean).map(Number);
+    const valid = times.length > 0 && times.every(t => Number.isFinite(t) && t >= 0);
+    seriesInput.classList.toggle('invalid', !valid);
+    seriesInput.title = valid ? '' : 'Comma-separated times in seconds, e.g. 1, 2, 5';
+    if (valid) series.setTimes(times);
+}
+seriesInput.addEventListener('change', onSeriesChange);
+onSeriesChange();
+btnSeriesCsv.addEventListener('click', () => downloadText(series.toCSV(sim), exportName() + '-series.csv'));
+
+// Larger runs are only offered when stepping is off the main thread
+function applyAtomLimit() {
+    atomsSlider.max = runner.maxAtoms;
+    if (parseInt(atomsSlider.value) > runner.maxAtoms) atomsSlider.value = runner.maxAtoms;
+    updateUI();
+}
+runner.onModeChange = applyAtomLimit;
+
+// ── Lessons: scripted steps that set up the run, play it and ask questions ──
+const LESSON_INDEX = 'lessons/index.json'; // [{file, title}], files relative to lessons/
+const MATH_DELIMITERS = [{ left: '$$', right: '$$', display: true }, { left: '$', right: '$', display: false }];
+let lesson = null;       // parsed script being followed (see lesson.js)
+let lessonStep = 0;
+let lessonAnswers = {};  // step index → {correct, tries}
+let lessonTarget = null; // runUntil time the run is playing towards
+let highlighted = [];
+
+function lessonStorageKey() {
+    return `fick-lesson:${lesson.id}`;
+}
+function saveLessonProgress() {
+    try {
+        localStorage.setItem(lessonStorageKey(), JSON.stringify({ step: lessonStep, answers: lessonAnswers }));
+    } catch {
+        // Storage off (private mode, file://): the lesson still works, it just won't resume
+    }
+}
+function loadLessonProgress() {
+    try {
+        return JSON.parse(localStorage.getItem(lessonStorageKey()));
+    } catch {
+        return null;
+    }
+}
+
+/** Set a control as the user would, so its own handler and readControls() take the value. */
+function setControl(id, value) {
+    const el = document.getElementById(id);
+    el.value = String(value);
+    if (el.tagName === 'SELECT' && el.value !== String(value)) {
+        throw new Error(`"${value}" is not an option of #${id} (${[...el.options].map(o => o.value).join(', ')})`);
+    }
+    el.dispatchEvent(new Event('input'));
+    el.dispatchEvent(new Event('change'));
+}
+function setLessonParam(name, value) {
+    const spec = LESSON_PARAMS[name];
+    if (spec.enable) setControl(...spec.enable);
+    setControl(spec.control, Array.isArray(value) ? value.join(', ')
+        : spec.log ? Math.log10(value) : spec.scale ? value * spec.scale : value);
+}
+
+/** Case, params and reset of a step; the run is left paused. */
+function applyLessonSetup(step) {
+    if (step.case !== undefined) switchCase(step.case);
+    for (const [name, value] of Object.entries(step.params)) setLessonParam(name, value);
+    if (step.reset) btnReset.click();
+    replayFrame = null;
+    setRunning(false);
+}
+
+/** Show step k. Going forward applies only that step, so the run carries on;
+ *  `replay` (resume, Back) applies steps 0…k from scratch and plays to the
+ *  latest runUntil since the last case switch or reset. */
+function goToLessonStep(k, replay = false) {
+    lessonStep = k;
+    saveLessonProgress();
+    for (const el of highlighted) el.classList.remove('lesson-highlight');
+    highlighted = [];
+    lessonFeedback.textContent = '';
+    lessonFeedback.className = 'lesson-feedback';
+    const step = lesson.steps[k];
+    let target = null;
+    try {
+        for (let i = replay ? 0 : k; i <= k; i++) {
+            const s = lesson.steps[i];
+            applyLessonSetup(s);
+            if (s.case !== undefined || s.reset) target = null;
+            if (s.runUntil !== undefined) target = s.runUntil;
+        }
+        for (const selector of step.highlight) highlighted.push(...document.querySelectorAll(selector));
+    } catch (err) {
+        lessonFeedback.textContent = `Lesson error: ${err.message}`;
+        lessonFeedback.classList.add('wrong');
+    }
+    for (const el of highlighted) el.classList.add('lesson-highlight');
+    lessonTarget = target !== null && target > sim.time ? target : null;
+    if (lessonTarget !== null) setRunning(true);
+
+    lessonTitle.textContent = lesson.title;
+    lessonStepTitle.textContent = step.title;
+    lessonText.innerHTML = step.text;
+    btnLessonBack.disabled = k === 0;
+    btnLessonNext.textContent = k === lesson.steps.length - 1 ? 'Finish ✓' : 'Next ▶';
+    showLessonQuestion(step.question, lessonAnswers[k]);
+    updateLessonProgress();
+    window.renderMathInElement?.(lessonPanel, { delimiters: MATH_DELIMITERS });
+}
+
+function showLessonQuestion(question, answer) {
+    lessonQuestion.style.display = question ? '' : 'none';
+    if (!question) return;
+    lessonPrompt.innerHTML = question.prompt;
+    const choice = question.type === 'choice';
+    lessonAnswerInput.style.display = choice ? 'none' : '';
+    lessonAnswerInput.value = '';
+    lessonUnit.textContent = choice ? '' : question.unit;
+    lessonOptions.innerHTML = '';
+    if (choice) {
+        for (const option of question.options) {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = 'lessonOption';
+            radio.value = option;
+            label.append(radio, option);
+            lessonOptions.appendChild(label);
+        }
+    }
+    if (answer?.correct) showLessonFeedback(true, 'Answered correctly.');
+}
+
+function showLessonFeedback(correct, message) {
+    lessonFeedback.textContent = message;
+    lessonFeedback.className = 'lesson-feedback ' + (correct ? 'correct' : 'wrong');
+}
+
+function updateLessonProgress() {
+    const asked = lesson.steps.filter(s => s.question).length;
+    const right = Object.values(lessonAnswers).filter(a => a.correct).length;
+    lessonProgress.textContent = `Step ${lessonStep + 1} / ${lesson.steps.length}`
+        + (asked ? ` · ${right} / ${asked} correct` : '');
+}
+
+btnLessonCheck.addEventListener('click', () => {
+    const question = lesson?.steps[lessonStep].question;
+    if (!question) return;
+    const response = question.type === 'choice'
+        ? lessonOptions.querySelector('input:checked')?.value
+        : lessonAnswerInput.value;
+    if (response === undefined || response === '') return;
+    const { correct, expected } = checkAnswer(question, sim, response);
+    const prev = lessonAnswers[lessonStep];
+    const tries = (prev?.tries ?? 0) + 1;
+    lessonAnswers[lessonStep] = { correct: correct || !!prev?.correct, tries };
+    saveLessonProgress();
+    updateLessonProgress();
+    const shown = question.type === 'choice' ? expected : `${expected.toPrecision(3)} ${question.unit}`.trim();
+    if (correct) showLessonFeedback(true, question.type === 'choice' ? 'Correct.' : `Correct — expected ${shown}.`);
+    else if (tries === 1 && question.hint) showLessonFeedback(false, `Not quite. ${question.hint}`);
+    else showLessonFeedback(false, `Not quite — the expected answer is ${shown}.`);
+});
+lessonAnswerInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter') btnLessonCheck.click();
+});
+
+function startLesson(script) {
+    lesson = script;
+    const saved = loadLessonProgress();
+    lessonAnswers = saved?.answers ?? {};
+    const k = Math.min(Math.max(parseInt(saved?.step) || 0, 0), lesson.steps.length - 1);
+    lessonPanel.style.display = '';
+    lessonPickerHint.textContent = k > 0 ? `Resumed at step ${k + 1}` : '';
+    goToLessonStep(k, true);
+}
+function exitLesson(message = '') {
+    for (const el of highlighted) el.classList.remove('lesson-highlight');
+    highlighted = [];
+    lesson = null;
+    lessonTarget = null;
+    lessonPanel.style.display = 'none';
+    lessonPickerHint.textContent = message;
+}
+btnLessonBack.addEventListener('click', () => goToLessonStep(lessonStep - 1, true));
+btnLessonNext.addEventListener('click', () => {
+    if (lessonStep < lesson.steps.length - 1) {
+        goToLessonStep(lessonStep + 1);
+        return;
+    }
+    const asked = lesson.steps.filter(s => s.question).length;
+    const first = Object.values(lessonAnswers).filter(a => a.correct && a.tries === 1).length;
+    try {
+        localStorage.removeItem(lessonStorageKey()); // the next start begins afresh
+    } catch {
+        // nothing was saved
+    }
+    exitLesson(`Finished "${lesson.title}"` + (asked ? ` · ${first} / ${asked} right first time` : ''));
+});
+btnLessonRestart.addEventListener('click', () => {
+    lessonAnswers = {};
+    goToLessonStep(0, true);
+});
+btnLessonExit.addEventListener('click', () => exitLesson());
+
+/** Pause once the run reaches the step's runUntil; questions wait for it. */
+function updateLesson() {
+    if (lessonTarget !== null && sim.time >= lessonTarget) {
+        setRunning(false);
+        lessonTarget = null;
+    }
+    btnLessonCheck.disabled = lessonTarget !== null;
+}
+
+async function loadLessonIndex() {
+    try {
+        const res = await fetch(LESSON_INDEX);
+        if (!res.ok) throw new Error(res.statusText);
+        for (const entry of await res.json()) lessonSelect.add(new Option(entry.title, entry.file));
+    } catch {
+        lessonPickerHint.textContent = 'No lesson list found; open a lesson file instead';
+    }
+    btnLessonStart.disabled = lessonSelect.options.length === 0;
+}
+btnLessonStart.addEventListener('click', async () => {
+    try {
+        const res = await fetch(`lessons/${lessonSelect.value}`);
+        if (!res.ok) throw new Error(`${lessonSelect.value}: ${res.statusText}`);
+        startLesson(parseLesson(await res.text()));
+    } catch (err) {
+        lessonPickerHint.textContent = err.message;
+    }
+});
+btnLessonFile.addEventListener('click', () => lessonFileInput.click());
+lessonFileInput.addEventListener('change', async () => {
+    const file = lessonFileInput.files[0];
+    lessonFileInput.value = ''; // so the same file can be opened again after editing
+    if (!file) return;
+    try {
+        startLesson(parseLesson(await file.text()));
+    } catch (err) {
+        lessonPickerHint.textContent = `${file.name}: ${err.message}`;
+    }
+});
+
 // ── Resize ──
-function onResize() { scene.resize(); plot.resize(); }
+function onResize() {
+    scene.resize();
+    plot.resize();
+    collapsePlot.resize();
+    lastCollapseTime = -Infinity;
+    msdPlot.resize();
+    heatmap.resize();
+    if (sim.arrhenius) {
+        arrheniusPlot.resize();
+        drawArrhenius();
+    }
+    if (sim.concentrationDependent) {
+        matanoPlot.resize();
+        lastMatanoTime = -Infinity;
+    }
+    if (permeationSection.style.display !== 'none') {
+        permeationPlot.resize();
+        lastFluxTime = -Infinity;
+    }
+}
 window.addEventListener('resize', onResize);
 
 // ── Animation loop ──
 let lastTime = 0;
 function animate(ts) {
     requestAnimationFrame(animate);
-    const dt = Math.min((ts - lastTime) / 1000, 0.05);
+    const dt = (ts - lastTime) / 1000; // the runner caps this for in-thread stepping
     lastTime = ts;
-    sim.step(dt);
+    runner.advance(dt);
     readControls();
     updateUI();
-    scene.updateAtoms(sim);
+    updateFit(ts);
+    updateMatano(ts);
+    updateFlux(ts);
+    updateHistory();
+    updateLesson();
+    const shown = shownSim();
+    scene.updateAtoms(shown);
+    scene.updateField(sim);
+    scene.updateTraps(sim);
+    if (showIsosurface) scene.updateVolume(shown, parseFloat(isoSlider.value));
     scene.render();
-    plot.draw(sim);
+    // The solver only runs forward, so a replayed frame has no reference curve
+    const reference = replayFrame ? null : syncReference();
+    if (replayFrame) legendFd.style.display = 'none';
+    plot.draw(shown, reference, overlays);
+    updateCollapse(ts, shown);
+    heatmap.draw(shown, heatmapPlaneSelect.value);
+    recordMsd();
+    msdPlot.draw(msdSamples);
+    series.record(sim);
+    seriesStatus.textContent = `${series.samples.length} / ${series.times.length}`;
+    if (recorder.recording) recorder.drawFrame();
 }
 
 // ── Boot ──
+applyAtomLimit();
 switchCase(1);
+loadLessonIndex();
 requestAnimationFrame(animate);
@@ -1,7 +1,36 @@
 import * as THREE from 'three';
-import { DOMAIN_LENGTH, VISIBLE_LENGTH, DOMAIN_WIDTH, NUM_BINS, MAX_ATOMS } from './simulation.js';
+import { MarchingCubes } from 'three/addons/objects/MarchingCubes.js';
+import { DOMAIN_LENGTH, VISIBLE_LENGTH, DOMAIN_WIDTH, NUM_BINS, MAX_ATOMS, BOLTZMANN_EV } from './simulation.js';
+import { histogramScale } from './datasets.js';
+import { expectedPermeation } from './analysis.js';
 
 const ATOM_RADIUS = 0.06;
+const MAX_TRAILS = 5;
+const TRAIL_LENGTH = 200; // frames of history per trail
+const TRAIL_COLORS = [0xffffff, 0xff6b9d, 0x2ecc71, 0xf1c40f, 0x00d4ff];
+const BACKGROUND = 0x08081a;
+const FIELD_COLOR = 0xffb347;     // drift/field arrow
+const TRAP_COLOR = 0xf368e0;      // trapped atoms and trap sites
+const TRAP_PLOT_COLOR = '#f368e0';
+const VOLUME_CELL = 1 / 3;       // µm — isosurface grid spacing
+const VOLUME_INTERVAL = 250;     // ms between isosurface rebuilds while running
+
+/** 3-point box blur of an nx × ny × nz grid along one axis (0 = x), in place.
+ *  Periodic axes wrap like the walk's y/z boundaries; x repeats its edge. */
+function blurAxis(grid, dims, axis, periodic) {
+    const n = dims[axis];
+    const stride = axis === 0 ? 1 : axis === 1 ? dims[0] : dims[0] * dims[1];
+    const line = new Float32Array(n);
+    for (let base = 0; base < grid.length; base++) {
+        if (Math.floor(base / stride) % n !== 0) continue; // start of a line along `axis`
+        for (let k = 0; k < n; k++) line[k] = grid[base + k * stride];
+        for (let k = 0; k < n; k++) {
+            const lo = k > 0 ? line[k - 1] : periodic ? line[n - 1] : line[0];
+            const hi = k < n - 1 ? line[k + 1] : periodic ? line[0] : line[n - 1];
+            grid[base + k * stride] = (lo + line[k] + hi) / 3;
+        }
+    }
+}
 
 // ────────────────────── 3D SCENE ──────────────────────
 export class SceneManager {
@@ -9,7 +38,7 @@ export class SceneManager {
         this.viewport = viewport;
         this.renderer = new THREE.WebGLRenderer({ antialias: true, alpha: false });
         this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-        this.renderer.setClearColor(0x08081a);
+        this.renderer.setClearColor(BACKGROUND);
         viewport.appendChild(this.renderer.domElement);
 
         this.scene = new THREE.Scene();
@@ -20,9 +49,7 @@ export class SceneManager {
         d.position.set(5, 10, 8);
         this.scene.add(d);
 
-        this.dummy = new THREE.Object3D();
         this.tmpColor = new THREE.Color();
-        this.hideMatrix = new THREE.Matrix4().makeTranslation(9999, 9999, 9999);
 
         this.envGroup = new THREE.Group();
         this.scene.add(this.envGroup);
@@ -32,25 +59,49 @@ export class SceneManager {
         const mat = new THREE.MeshPhongMaterial();
         this.atomMesh = new THREE.InstancedMesh(geo, mat, MAX_ATOMS);
         this.atomMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.atomMesh.frustumCulled = false; // bounds change every frame
         const ic = new Float32Array(MAX_ATOMS * 3);
         this.atomMesh.instanceColor = new THREE.InstancedBufferAttribute(ic, 3);
         this.atomMesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
         this.scene.add(this.atomMesh);
 
-        this.currentCase = 0;
-        this.setupForCase(1);
+        // Trails of picked atoms, keyed by atom id (see DiffusionSim.ids)
+        this.raycaster = new THREE.Raycaster();
+        this.trails = new Map();
+
+        // Isosurface of the binned concentration, built on first use
+        this.volume = null;
+        this.volumeKey = '';
+        this.lastVolumeTime = 0;
+
+        // Field arrow above the box, shown while a bias drives a drift along x
+        this.fieldArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 1, FIELD_COLOR, 0.4, 0.25);
+        this.fieldArrow.visible = false;
+        this.scene.add(this.fieldArrow);
+
+        // Trap-site markers, rebuilt when the sites change (see updateTraps)
+        this.trapPoints = null;
+        this.trapKey = '';
+
+        this.currentCase = null; // set by setupForCase()
         this.resize();
     }
 
-    setupForCase(caseNum) {
-        if (this.currentCase === caseNum) return;
-        this.currentCase = caseNum;
+    /** Build the box, axis and the active scenario's decorations (see
+     *  scenarios.js). The scene is rebuilt only when the case, its
+     *  decorations or the visible window change. */
+    setupForCase(sim) {
+        const scenario = sim.scenario;
+        const decorations = scenario.decorations(sim);
+        const key = `${scenario.id}:${sim.visibleMin}:${sim.visibleMax}:${JSON.stringify(decorations)}`;
+        if (this.currentCase === key) return;
+        this.currentCase = key;
         this.envGroup.clear();
 
-        const V = VISIBLE_LENGTH; // box shows visible range only
+        const V = sim.visibleLength; // box shows visible range only
         const W = DOMAIN_WIDTH;
-        const vMin = caseNum === 2 ? -V / 2 : 0;
-        const cx = caseNum === 2 ? 0 : V / 2;
+        const vMin = sim.visibleMin;
+        const cx = vMin + V / 2;
 
         // Visible-range box
         const boxGeo = new THREE.BoxGeometry(V, W, W);
@@ -60,18 +111,13 @@ export class SceneManager {
         boxLine.position.set(cx, 0, 0);
         this.envGroup.add(boxLine);
 
-        // Source plane at x=0
-        const planeGeo = new THREE.PlaneGeometry(W, W);
-        const planeColor = caseNum === 1 ? 0xff6b9d : caseNum === 2 ? 0x2ecc71 : 0x9b59b6;
-        const plane = new THREE.Mesh(planeGeo,
-            new THREE.MeshBasicMaterial({ color: planeColor, transparent: true, opacity: 0.18, side: THREE.DoubleSide }));
-        plane.rotation.y = Math.PI / 2;
-        this.envGroup.add(plane);
-        const ring = new THREE.LineSegments(
-            new THREE.EdgesGeometry(planeGeo),
-            new THREE.LineBasicMaterial({ color: planeColor, transparent: true, opacity: 0.6 }));
-        ring.rotation.y = Math.PI / 2;
-        this.envGroup.add(ring);
+        for (const d of decorations) {
+            if (d.type === 'volume') this.addVolume(d.from, d.to, d.color, d.opacity);
+            else if (d.type === 'face') this.addFace(d.x, d.color, 0.28, 0.8);
+            else if (d.type === 'point') this.addPointSource(d.x, d.color ?? scenario.color);
+            else if (d.type === 'line') this.addLineSource(d.x, d.color ?? scenario.color);
+            else this.addFace(d.x, d.color ?? scenario.color, 0.18, 0.6); // source plane
+        }
 
         // X-axis arrow
         this.envGroup.add(new THREE.ArrowHelper(
@@ -84,39 +130,271 @@ export class SceneManager {
         grid.position.set(cx, -W / 2, 0);
         this.envGroup.add(grid);
 
-        // Camera
-        this.camera.position.set(cx, 3.5, 10);
+        // Camera, backed off in proportion to the window
+        const k = V / VISIBLE_LENGTH;
+        this.camera.position.set(cx, 3.5 * k, 10 * k);
         this.camera.lookAt(cx, 0, 0);
     }
 
+    /** A y–z plane at x: translucent fill plus an outline. */
+    addFace(x, color, opacity, edgeOpacity) {
+        const W = DOMAIN_WIDTH;
+        const planeGeo = new THREE.PlaneGeometry(W, W);
+        const plane = new THREE.Mesh(planeGeo,
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity, side: THREE.DoubleSide }));
+        plane.rotation.y = Math.PI / 2;
+        plane.position.x = x;
+        this.envGroup.add(plane);
+        const edge = new THREE.LineSegments(
+            new THREE.EdgesGeometry(planeGeo),
+            new THREE.LineBasicMaterial({ color, transparent: true, opacity: edgeOpacity }));
+        edge.rotation.y = Math.PI / 2;
+        edge.position.x = x;
+        this.envGroup.add(edge);
+    }
+
+    /** Glowing marker at (x, 0, 0). */
+    addPointSource(x, color) {
+        const dot = new THREE.Mesh(new THREE.SphereGeometry(0.12, 16, 12),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity: 0.6 }));
+        dot.position.set(x, 0, 0);
+        this.envGroup.add(dot);
+    }
+
+    /** Line along z through (x, 0) across the box. */
+    addLineSource(x, color) {
+        const W = DOMAIN_WIDTH;
+        const geo = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(x, 0, -W / 2), new THREE.Vector3(x, 0, W / 2)]);
+        this.envGroup.add(new THREE.Line(geo, new THREE.LineBasicMaterial({ color, transparent: true, opacity: 0.8 })));
+    }
+
+    /** Tinted box spanning from ≤ x ≤ to. */
+    addVolume(from, to, color, opacity) {
+        if (to - from <= 0) return;
+        const W = DOMAIN_WIDTH;
+        const box = new THREE.Mesh(new THREE.BoxGeometry(to - from, W, W),
+            new THREE.MeshBasicMaterial({ color, transparent: true, opacity, depthWrite: false }));
+        box.position.set((from + to) / 2, 0, 0);
+        this.envGroup.add(box);
+    }
+
+    /** Point the field arrow along the drift; its length grows with |b|. */
+    updateField(sim) {
+        const b = sim.driftBias;
+        this.fieldArrow.visible = b !== 0;
+        if (b === 0) return;
+        const len = 1 + 9 * Math.abs(b); // 1–4 µm over |b| ≤ 1/3
+        const dir = Math.sign(b);
+        const cx = sim.visibleMin + sim.visibleLength / 2;
+        this.fieldArrow.setDirection(new THREE.Vector3(dir, 0, 0));
+        this.fieldArrow.setLength(len, 0.4, 0.25);
+        this.fieldArrow.position.set(cx - dir * len / 2, DOMAIN_WIDTH / 2 + 0.7, 0);
+    }
+
     updateAtoms(sim) {
         const n = sim.numAtoms;
-        const vMin = sim.visibleMin;
-        const vMax = sim.visibleMax;
+        const trapped = sim.trapping ? sim.trapped : null;
+        // Colour by the profile coordinate: x, or the distance from a point/line source
+        const { min: vMin, max: vMax, at } = sim.profile;
         const vRange = vMax - vMin;
+        // Only the translation changes, so write it straight into the
+        // instance matrices — composing 100k matrices per frame is too slow.
+        const mat = this.atomMesh.instanceMatrix.array;
+        const col = this.atomMesh.instanceColor.array;
         for (let i = 0; i < n; i++) {
-            const x = sim.atoms[i * 3];
-            this.dummy.position.set(x, sim.atoms[i * 3 + 1], sim.atoms[i * 3 + 2]);
-            this.dummy.updateMatrix();
-            this.atomMesh.setMatrixAt(i, this.dummy.matrix);
+            const x = sim.atoms[i * 3], y = sim.atoms[i * 3 + 1], z = sim.atoms[i * 3 + 2];
+            mat[i * 16 + 12] = x;
+            mat[i * 16 + 13] = y;
+            mat[i * 16 + 14] = z;
 
-            if (x >= vMin && x <= vMax) {
+            const c = at(x, y, z);
+            if (trapped && trapped[i]) {
+                // Held in a trap: outside the gradient's hues
+                this.tmpColor.setHex(TRAP_COLOR);
+            } else if (c >= vMin && c <= vMax) {
                 // In view: warm→cool gradient
-                const ratio = (x - vMin) / vRange;
+                const ratio = (c - vMin) / vRange;
                 this.tmpColor.setHSL(0.08 + ratio * 0.55, 0.9, 0.55 + ratio * 0.1);
             } else {
                 // Out of view: dim grey
                 this.tmpColor.setHSL(0.6, 0.15, 0.25);
             }
-            this.atomMesh.setColorAt(i, this.tmpColor);
-        }
-        for (let i = n; i < MAX_ATOMS; i++) {
-            this.atomMesh.setMatrixAt(i, this.hideMatrix);
+            this.tmpColor.toArray(col, i * 3);
         }
+        this.atomMesh.count = n;
+        this.updateTrails(sim);
         this.atomMesh.instanceMatrix.needsUpdate = true;
         this.atomMesh.instanceColor.needsUpdate = true;
     }
 
+    /** Mark the trap cells in view with faint points at their centres. */
+    updateTraps(sim) {
+        const key = sim.trapping ? `${sim.trapFraction}:${sim.visibleMin}:${sim.visibleMax}` : '';
+        if (key === this.trapKey) return;
+        this.trapKey = key;
+        if (this.trapPoints) {
+            this.scene.remove(this.trapPoints);
+            this.trapPoints.geometry.dispose();
+            this.trapPoints.material.dispose();
+            this.trapPoints = null;
+        }
+        if (!key) return;
+        const sites = sim.trapSites(sim.visibleMin, sim.visibleMax);
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.Float32BufferAttribute(sites.flat(), 3));
+        this.trapPoints = new THREE.Points(geo, new THREE.PointsMaterial({
+            color: TRAP_COLOR, size: 0.15, transparent: true, opacity: 0.35, depthWrite: false,
+        }));
+        this.scene.add(this.trapPoints);
+    }
+
+    // ── Atom trails ──
+    /** Index of the atom under a viewport click, or −1. */
+    pickAtom(clientX, clientY) {
+        const r = this.renderer.domElement.getBoundingClientRect();
+        const ndc = new THREE.Vector2(((clientX - r.left) / r.width) * 2 - 1, -((clientY - r.top) / r.height) * 2 + 1);
+        this.raycaster.setFromCamera(ndc, this.camera);
+        this.atomMesh.computeBoundingSphere(); // instances move every frame
+        const hit = this.raycaster.intersectObject(this.atomMesh)[0];
+        return hit ? hit.instanceId : -1;
+    }
+
+    /** Start or stop drawing the trail of the atom with this id. The oldest
+     *  trail is dropped beyond MAX_TRAILS. */
+    toggleTrail(id) {
+        if (this.trails.has(id)) {
+            this.removeTrail(id);
+            return;
+        }
+        if (this.trails.size >= MAX_TRAILS) this.removeTrail(this.trails.keys().next().value);
+        const used = new Set([...this.trails.values()].map(t => t.color));
+        const color = TRAIL_COLORS.find(c => !used.has(c));
+        const geo = new THREE.BufferGeometry();
+        geo.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_LENGTH * 6), 3));
+        geo.setAttribute('color', new THREE.BufferAttribute(new Float32Array(TRAIL_LENGTH * 6), 3));
+        geo.setDrawRange(0, 0);
+        const line = new THREE.LineSegments(geo, new THREE.LineBasicMaterial({ vertexColors: true }));
+        line.frustumCulled = false;
+        this.scene.add(line);
+        this.trails.set(id, { color, head: new THREE.Color(color), line, points: [], index: -1 });
+    }
+
+    removeTrail(id) {
+        const trail = this.trails.get(id);
+        this.scene.remove(trail.line);
+        trail.line.geometry.dispose();
+        trail.line.material.dispose();
+        this.trails.delete(id);
+    }
+
+    clearTrails() {
+        for (const id of [...this.trails.keys()]) this.removeTrail(id);
+    }
+
+    /** Append each followed atom's position and rebuild its polyline, fading
+     *  from its color at the head to the background at the tail. Segments
+     *  that cross the periodic y/z wrap are skipped. Trails of atoms that
+     *  left the buffer (absorbed) are removed. */
+    updateTrails(sim) {
+        const half = DOMAIN_WIDTH / 2;
+        const col = this.atomMesh.instanceColor.array;
+        const bg = new THREE.Color(BACKGROUND);
+        for (const [id, trail] of [...this.trails]) {
+            // Swap-removes reorder the buffer, so re-find the atom if it moved
+            let i = trail.index;
+            if (i < 0 || i >= sim.numAtoms || sim.ids[i] !== id) i = sim.ids.subarray(0, sim.numAtoms).indexOf(id);
+            if (i < 0) {
+                this.removeTrail(id);
+                continue;
+            }
+            trail.index = i;
+            const p = [sim.atoms[i * 3], sim.atoms[i * 3 + 1], sim.atoms[i * 3 + 2]];
+            const last = trail.points[trail.points.length - 1];
+            if (!last || last[0] !== p[0] || last[1] !== p[1] || last[2] !== p[2]) {
+                trail.points.push(p);
+                if (trail.points.length > TRAIL_LENGTH) trail.points.shift();
+            }
+            this.tmpColor.set(trail.color).toArray(col, i * 3); // highlight the atom itself
+
+            const pos = trail.line.geometry.attributes.position.array;
+            const rgb = trail.line.geometry.attributes.color.array;
+            const pts = trail.points;
+            let v = 0;
+            for (let k = 1; k < pts.length; k++) {
+                const a = pts[k - 1], b = pts[k];
+                if (Math.abs(b[1] - a[1]) > half || Math.abs(b[2] - a[2]) > half) continue;
+                for (const [q, age] of [[a, k - 1], [b, k]]) {
+                    pos.set(q, v * 3);
+                    this.tmpColor.copy(bg).lerp(trail.head, age / (pts.length - 1)).toArray(rgb, v * 3);
+                    v++;
+                }
+            }
+            trail.line.geometry.setDrawRange(0, v);
+            trail.line.geometry.attributes.position.needsUpdate = true;
+            trail.line.geometry.attributes.color.needsUpdate = true;
+        }
+    }
+
+    // ── Isosurface ──
+    setVolumeVisible(on) {
+        if (this.volume) this.volume.visible = on;
+        this.volumeKey = '';
+    }
+
+    /** Contour the atom density at `level` × its peak. Counts on a VOLUME_CELL
+     *  grid (stretched along x to a wider or narrower window) over the visible box are blurred twice (periodic in y and z) and
+     *  handed to MarchingCubes, which only contours its interior, so the data
+     *  sits two cells in from the cube's edge with zeros around it. Rebuilt at
+     *  most every VOLUME_INTERVAL ms, and not at all while nothing changes. */
+    updateVolume(sim, level) {
+        const key = `${sim.caseNum}:${sim.time}:${sim.numAtoms}:${level}:${sim.visibleMin}:${sim.visibleMax}`;
+        const now = performance.now();
+        if (key === this.volumeKey || (sim.running && now - this.lastVolumeTime < VOLUME_INTERVAL)) return;
+        this.volumeKey = key;
+        this.lastVolumeTime = now;
+
+        const nx = Math.round(VISIBLE_LENGTH / VOLUME_CELL);
+        const nw = Math.round(DOMAIN_WIDTH / VOLUME_CELL);
+        const R = nx + 4;
+        if (!this.volume) {
+            const material = new THREE.MeshPhongMaterial({
+                color: 0x00d4ff, transparent: true, opacity: 0.35, side: THREE.DoubleSide, depthWrite: false,
+            });
+            this.volume = new MarchingCubes(R, material, false, false, 60000);
+            this.scene.add(this.volume);
+        }
+        const dims = [nx, nw, nw];
+        const grid = sim.getHistogram3D(nx, nw, nw);
+        for (let pass = 0; pass < 2; pass++) {
+            blurAxis(grid, dims, 0, false);
+            blurAxis(grid, dims, 1, true);
+            blurAxis(grid, dims, 2, true);
+        }
+        let peak = 0;
+        for (let i = 0; i < grid.length; i++) if (grid[i] > peak) peak = grid[i];
+
+        const mc = this.volume;
+        mc.reset();
+        if (peak > 0) {
+            for (let iz = 0; iz < nw; iz++) {
+                for (let iy = 0; iy < nw; iy++) {
+                    for (let ix = 0; ix < nx; ix++) {
+                        mc.field[(ix + 2) + R * ((iy + 2) + R * (iz + 2))] = grid[ix + nx * (iy + nw * iz)] / peak;
+                    }
+                }
+            }
+        }
+        mc.isolation = level;
+        mc.update();
+
+        // Field index i sits at −1 + 2i/R in the mesh's own frame; place cell
+        // centres (index i = cell + 2) at their positions in µm.
+        const cx = sim.visibleLength / nx, cw = DOMAIN_WIDTH / nw;
+        mc.scale.set(cx * R / 2, cw * R / 2, cw * R / 2);
+        mc.position.set(sim.visibleMin + cx * (R / 2 - 1.5), -DOMAIN_WIDTH / 2 + cw * (R / 2 - 1.5),
+            -DOMAIN_WIDTH / 2 + cw * (R / 2 - 1.5));
+    }
+
     render() { this.renderer.render(this.scene, this.camera); }
 
     resize() {
@@ -128,12 +406,39 @@ export class SceneManager {
 }
 
 // ────────────────────── 2D PLOT ──────────────────────
+const CURVE_POINTS = 200;    // analytical/FD samples across the x view
+const RESIDUAL_HEIGHT = 64;  // px — residual strip under the profile
+const LOG_DECADES = 4;       // log-y range below the top of the plot
+const MIN_ZOOM = 1 / 200;    // narrowest x view, as a share of the profile range
+
+/** Tick spacing of 1, 2 or 5 × 10ⁿ giving about `count` intervals over `span`. */
+function niceStep(span, count) {
+    const raw = span / count;
+    const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    const f = raw / mag;
+    return (f < 1.5 ? 1 : f < 3.5 ? 2 : f < 7.5 ? 5 : 10) * mag;
+}
+
+/** Short value label: fixed-point, or exponential for tiny magnitudes. */
+function formatValue(v) {
+    return v !== 0 && Math.abs(v) < 0.01 ? v.toExponential(2) : v.toFixed(3);
+}
+
+/** The concentration profile: histogram bars, analytical and reference
+ *  curves, frozen profiles from earlier times, and a strip of bin residuals
+ *  below. The x view zooms and pans inside the profile range (zoom(), pan(),
+ *  resetView()); the y axis can be logarithmic; a crosshair follows `pointer`. */
 export class PlotManager {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.cachedYMax = 1;
+        this.cachedResidualMax = 0.1;
         this.lastYMaxTime = 0;
+        this.view = null;    // [min, max] shown, or null for the whole profile range
+        this.logY = false;
+        this.pointer = null; // {x, y} in CSS px over the canvas, or null
+        this.frame = null;   // last drawn x layout, for turning pixels into positions
         this.resize();
     }
 
@@ -145,75 +450,148 @@ export class PlotManager {
         this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
     }
 
-    draw(sim) {
+    /** Zoom the x view by `factor` (< 1 zooms in) about the pixel column `px`. */
+    zoom(px, factor) {
+        const f = this.frame;
+        if (!f) return;
+        const x = f.min + (px - f.left) / f.width * (f.max - f.min);
+        const span = Math.min(Math.max((f.max - f.min) * factor, (f.hi - f.lo) * MIN_ZOOM), f.hi - f.lo);
+        const min = x - (x - f.min) * span / (f.max - f.min);
+        this.setView(min, min + span);
+    }
+
+    /** Pan the x view by `dx` pixels (drag right to look left). */
+    pan(dx) {
+        const f = this.frame;
+        if (!f || !this.view) return;
+        const shift = -dx / f.width * (f.max - f.min);
+        this.setView(f.min + shift, f.max + shift);
+    }
+
+    resetView() {
+        this.view = null;
+        this.lastYMaxTime = 0;
+    }
+
+    setLogY(on) {
+        this.logY = on;
+        this.lastYMaxTime = 0;
+    }
+
+    /** Show [min, max], slid back inside the profile range. */
+    setView(min, max) {
+        const { lo, hi } = this.frame;
+        const span = max - min;
+        if (span >= hi - lo) {
+            this.resetView();
+            return;
+        }
+        min = Math.min(Math.max(min, lo), hi - span);
+        this.view = [min, min + span];
+        this.lastYMaxTime = 0;
+    }
+
+    /** @param {import('./simulation.js').DiffusionSim} sim
+     *  @param {import('./solver.js').FiniteDifferenceSolver | null} [reference] synced solver, drawn dashed
+     *  @param {{time: number, color: string, centers: number[], simulated: number[], curve: {x: number[], y: number[]}}[]} [overlays]
+     *    frozen profiles, drawn as markers on their own analytical curve */
+    draw(sim, reference = null, overlays = []) {
         const ctx = this.ctx;
         const dpr = Math.min(window.devicePixelRatio, 2);
         const w = this.canvas.width / dpr;
         const h = this.canvas.height / dpr;
         const pad = { top: 20, right: 25, bottom: 42, left: 58 };
+        const gap = 10;
         const pw = w - pad.left - pad.right;
-        const ph = h - pad.top - pad.bottom;
-        const xMin = sim.visibleMin;
-        const xMax = sim.visibleMax;
-        const xRange = xMax - xMin;
-        const isCase1 = sim.caseNum === 1;
+        const ph = h - pad.top - pad.bottom - RESIDUAL_HEIGHT - gap;
+        const rTop = pad.top + ph + gap; // residual strip
+        const rh = RESIDUAL_HEIGHT;
+        const { axis, label: xLabel, min: xMin, max: xMax } = sim.profile; // x, or r for radial sources
+        const isConc = sim.surfaceNormalized; // C/C₀ on a fixed scale, else density
+
+        // The x view, dropped when the profile range no longer holds it
+        if (this.view && (this.view[0] < xMin || this.view[1] > xMax)) this.resetView();
+        const [vMin, vMax] = this.view ?? [xMin, xMax];
+        const vRange = vMax - vMin;
+        this.frame = { left: pad.left, width: pw, lo: xMin, hi: xMax, min: vMin, max: vMax };
+        const px = x => pad.left + (x - vMin) / vRange * pw;
 
         // Clear
         ctx.fillStyle = '#0b0b20';
         ctx.fillRect(0, 0, w, h);
 
         // ── Prepare data ──
-        const hist = sim.getHistogram(); // raw counts in visible range
-        const binW_data = xRange / NUM_BINS; // µm per bin
-        const N = sim.numAtoms;
-
-        // Compute plot values: histogram bars & analytical curve
-        let histPlot = new Float32Array(NUM_BINS);
-        let analPoints = [];
-        let yMax;
-
-        if (isCase1) {
-            // Case 1: normalize by bin[0] → C/C₀
-            const peak = hist[0] || 1;
-            for (let i = 0; i < NUM_BINS; i++) histPlot[i] = hist[i] / peak;
-            for (let i = 0; i <= 200; i++) {
-                const frac = i / 200;
-                analPoints.push(sim.analyticalAt(xMin + frac * xRange));
-            }
-            yMax = 1.2;
-        } else {
-            // Cases 2&3: probability density — histogram density vs analytical PDF
-            for (let i = 0; i < NUM_BINS; i++) {
-                histPlot[i] = hist[i] / (N * binW_data);
+        const hist = sim.getHistogram(); // raw counts in visible range (mobile atoms while traps are on)
+        const n = hist.length;
+        const binW = (xMax - xMin) / n;
+
+        // Compute plot values: histogram bars & analytical curve.
+        // histogramScale() gives C/C₀ (first bin or reservoir ρ₀) or density (count / (N × bin width)).
+        const scale = histogramScale(sim, hist);
+        const histPlot = new Float32Array(n);
+        for (let i = 0; i < n; i++) histPlot[i] = hist[i] * scale;
+        // Bins overlapping the view
+        const i0 = Math.max(Math.floor((vMin - xMin) / binW), 0);
+        const i1 = Math.min(Math.ceil((vMax - xMin) / binW), n);
+        // Residual of each visible bin against the curve at its centre
+        const residuals = new Float32Array(n);
+        for (let i = i0; i < i1; i++) residuals[i] = histPlot[i] - sim.analyticalAt(xMin + (i + 0.5) * binW);
+        const curveX = Array.from({ length: CURVE_POINTS + 1 }, (_, i) => vMin + (i / CURVE_POINTS) * vRange);
+        const analPoints = curveX.map(x => sim.analyticalAt(x));
+        const fdPoints = reference ? curveX.map(x => reference.valueAt(x)) : [];
+        // Trapped atoms on the same scale, with K × the mobile solution
+        const trapping = sim.trapping;
+        const trapPlot = trapping ? sim.getHistogram('trapped').map(v => v * scale) : [];
+        const trapPoints = trapping && sim.analyticalTrappedAt(xMin) !== null
+            ? curveX.map(x => sim.analyticalTrappedAt(x)) : [];
+        const fdTrapPoints = trapping && reference ? curveX.map(x => reference.trappedAt(x)) : [];
+
+        // Auto-scale y (and the residual strip) over the view — update cached values every 0.5s
+        const now = performance.now();
+        if (now - this.lastYMaxTime > 500) {
+            let hMax = 0, rMax = 0;
+            for (let i = i0; i < i1; i++) {
+                hMax = Math.max(hMax, histPlot[i], trapPlot[i] ?? 0);
+                rMax = Math.max(rMax, Math.abs(residuals[i]) + Math.sqrt(hist[i]) * scale);
             }
-            for (let i = 0; i <= 200; i++) {
-                const frac = i / 200;
-                analPoints.push(sim.analyticalAt(xMin + frac * xRange));
+            let aMax = 0;
+            for (const points of [analPoints, fdPoints, trapPoints, fdTrapPoints]) {
+                for (let i = 0; i < points.length; i++) if (points[i] > aMax) aMax = points[i];
             }
-            // Auto-scale y — update cached value every 0.5s
-            const now = performance.now();
-            if (now - this.lastYMaxTime > 500) {
-                let hMax = 0;
-                for (let i = 0; i < NUM_BINS; i++) if (histPlot[i] > hMax) hMax = histPlot[i];
-                let aMax = 0;
-                for (let i = 0; i < analPoints.length; i++) if (analPoints[i] > aMax) aMax = analPoints[i];
-                this.cachedYMax = Math.max(hMax, aMax) * 1.15;
-                if (this.cachedYMax < 1e-6) this.cachedYMax = 1;
-                this.lastYMaxTime = now;
+            for (const o of overlays) {
+                o.centers.forEach((x, i) => { if (x >= vMin && x <= vMax) hMax = Math.max(hMax, o.simulated[i]); });
+                o.curve.x.forEach((x, i) => { if (x >= vMin && x <= vMax) aMax = Math.max(aMax, o.curve.y[i]); });
             }
-            yMax = this.cachedYMax;
+            this.cachedYMax = Math.max(hMax, aMax) * 1.15;
+            if (this.cachedYMax < 1e-6) this.cachedYMax = 1;
+            this.cachedResidualMax = rMax > 0 ? rMax * 1.15 : 0.1;
+            this.lastYMaxTime = now;
         }
+        const yMax = isConc && !this.view ? 1.2 : this.cachedYMax;
+        const resMax = this.cachedResidualMax;
+        const logLo = Math.log10(yMax) - LOG_DECADES;
+        const yFrac = this.logY
+            ? y => y > 0 ? (Math.log10(y) - logLo) / LOG_DECADES : 0
+            : y => y / yMax;
+        const py = y => pad.top + ph - Math.min(Math.max(yFrac(y), 0), 1) * ph;
+        const ry = r => rTop + rh / 2 - Math.min(Math.max(r / resMax, -1), 1) * rh / 2;
 
         // ── Grid ──
+        const xStep = niceStep(vRange, 10);
+        const xTicks = [];
+        for (let k = Math.ceil(vMin / xStep - 1e-6); k * xStep <= vMax + xStep * 1e-6; k++) xTicks.push(k * xStep);
+        const yTicks = this.logY
+            ? Array.from({ length: LOG_DECADES + 1 }, (_, i) => Math.pow(10, Math.ceil(logLo) + i)).filter(y => y <= yMax)
+            : Array.from({ length: 6 }, (_, i) => (i / 5) * yMax);
         ctx.strokeStyle = 'rgba(50,60,100,0.4)';
         ctx.lineWidth = 0.5;
-        for (let i = 0; i <= 5; i++) {
-            const y = pad.top + (i / 5) * ph;
-            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+        for (const y of yTicks) {
+            ctx.beginPath(); ctx.moveTo(pad.left, py(y)); ctx.lineTo(pad.left + pw, py(y)); ctx.stroke();
         }
-        for (let i = 0; i <= 10; i++) {
-            const x = pad.left + (i / 10) * pw;
+        for (const t of xTicks) {
+            const x = px(t);
             ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+            ctx.beginPath(); ctx.moveTo(x, rTop); ctx.lineTo(x, rTop + rh); ctx.stroke();
         }
 
         // ── Axes ──
@@ -223,69 +601,942 @@ export class PlotManager {
         ctx.moveTo(pad.left, pad.top);
         ctx.lineTo(pad.left, pad.top + ph);
         ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.moveTo(pad.left, rTop);
+        ctx.lineTo(pad.left, rTop + rh);
+        ctx.lineTo(pad.left + pw, rTop + rh);
         ctx.stroke();
 
-        // ── X-axis labels with tick marks ──
+        // ── X-axis labels with tick marks (under the residual strip) ──
         ctx.fillStyle = '#8890b0';
         ctx.font = '11px Inter';
         ctx.textAlign = 'center';
-        ctx.fillText('Position x (µm)', pad.left + pw / 2, h - 5);
+        ctx.fillText(xLabel, pad.left + pw / 2, h - 5);
         ctx.strokeStyle = 'rgba(100,120,200,0.6)';
         ctx.lineWidth = 1;
-        const nTicks = 10;
-        for (let i = 0; i <= nTicks; i++) {
-            const px = pad.left + (i / nTicks) * pw;
-            const val = xMin + (i / nTicks) * xRange;
+        const digits = Math.max(0, -Math.floor(Math.log10(xStep) + 1e-9));
+        for (const t of xTicks) {
+            const x = px(t);
             // Tick mark
-            ctx.beginPath(); ctx.moveTo(px, pad.top + ph); ctx.lineTo(px, pad.top + ph + 5); ctx.stroke();
-            // Label: integer µm
+            ctx.beginPath(); ctx.moveTo(x, rTop + rh); ctx.lineTo(x, rTop + rh + 5); ctx.stroke();
             ctx.fillStyle = '#8890b0';
-            const label = Number.isInteger(val) ? val + '' : val.toFixed(1);
-            ctx.fillText(label, px, pad.top + ph + 17);
+            ctx.fillText(t.toFixed(digits), x, rTop + rh + 17);
         }
         ctx.textAlign = 'right';
-        for (let i = 0; i <= 5; i++) {
-            const y = pad.top + ph - (i / 5) * ph;
-            const yVal = (i / 5) * yMax;
-            if (isCase1) {
-                ctx.fillText(yVal.toFixed(1), pad.left - 8, y + 4);
-            } else {
-                ctx.fillText(yVal < 0.01 ? yVal.toExponential(1) : yVal.toFixed(2), pad.left - 8, y + 4);
-            }
+        for (const y of yTicks) {
+            let label;
+            if (this.logY) label = y.toExponential(0);
+            else if (isConc && !this.view) label = y.toFixed(1);
+            else label = y < 0.01 && y > 0 ? y.toExponential(1) : y.toFixed(2);
+            ctx.fillText(label, pad.left - 8, py(y) + 4);
         }
+        ctx.fillText('+' + formatValue(resMax), pad.left - 8, rTop + 8);
+        ctx.fillText('0', pad.left - 8, rTop + rh / 2 + 4);
+        ctx.fillText('−' + formatValue(resMax), pad.left - 8, rTop + rh);
         ctx.save();
         ctx.translate(13, pad.top + ph / 2);
         ctx.rotate(-Math.PI / 2);
         ctx.textAlign = 'center';
-        ctx.fillText(isCase1 ? 'C(x,t) / C₀' : 'Density (µm⁻¹)', 0, 0);
+        ctx.fillText(isConc ? 'C(x,t) / C₀' : 'Density (µm⁻¹)', 0, 0);
+        ctx.restore();
+        ctx.save();
+        ctx.translate(13, rTop + rh / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('Residual', 0, 0);
         ctx.restore();
 
+        // Everything below stays inside the two panels
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, pw, ph);
+        ctx.rect(pad.left, rTop, pw, rh);
+        ctx.clip();
+        const base = pad.top + ph;
+
         // ── Histogram bars ──
-        const binW_px = pw / NUM_BINS;
+        const binW_px = binW / vRange * pw;
         ctx.fillStyle = 'rgba(255, 159, 67, 0.45)';
         ctx.strokeStyle = 'rgba(255, 159, 67, 0.8)';
         ctx.lineWidth = 1;
-        for (let i = 0; i < NUM_BINS; i++) {
-            const bx = pad.left + i * binW_px;
-            const bh = Math.min(histPlot[i] / yMax, 1) * ph;
+        for (let i = i0; i < i1; i++) {
+            const bx = px(xMin + i * binW);
+            const bh = base - py(histPlot[i]);
             if (bh > 0.5) {
-                ctx.fillRect(bx, pad.top + ph - bh, binW_px - 1, bh);
-                ctx.strokeRect(bx, pad.top + ph - bh, binW_px - 1, bh);
+                ctx.fillRect(bx, base - bh, Math.max(binW_px - 1, 1), bh);
+                ctx.strokeRect(bx, base - bh, Math.max(binW_px - 1, 1), bh);
             }
         }
 
-        // ── Analytical curve ──
+        // ── Poisson error bars (±√n per bin, on the plot's scale) ──
+        ctx.strokeStyle = 'rgba(255, 220, 180, 0.75)';
+        ctx.lineWidth = 1;
         ctx.beginPath();
+        const cap = Math.min(3, binW_px / 4);
+        for (let i = i0; i < i1; i++) {
+            if (hist[i] === 0) continue;
+            const sigma = Math.sqrt(hist[i]) * scale;
+            const cx = px(xMin + (i + 0.5) * binW) - 0.5;
+            const yHi = py(histPlot[i] + sigma);
+            const yLo = py(Math.max(histPlot[i] - sigma, 0));
+            ctx.moveTo(cx, yHi); ctx.lineTo(cx, yLo);
+            ctx.moveTo(cx - cap, yHi); ctx.lineTo(cx + cap, yHi);
+            ctx.moveTo(cx - cap, yLo); ctx.lineTo(cx + cap, yLo);
+        }
+        ctx.stroke();
+
+        // ── Trapped atoms: outlined bars over the mobile ones ──
+        if (trapping) {
+            ctx.strokeStyle = TRAP_PLOT_COLOR;
+            ctx.fillStyle = 'rgba(243, 104, 224, 0.18)';
+            ctx.lineWidth = 1;
+            const inset = Math.min(2, binW_px / 4);
+            for (let i = i0; i < i1; i++) {
+                const bx = px(xMin + i * binW);
+                const bh = base - py(trapPlot[i]);
+                if (bh > 0.5) {
+                    ctx.fillRect(bx + inset, base - bh, Math.max(binW_px - 2 * inset - 1, 1), bh);
+                    ctx.strokeRect(bx + inset, base - bh, Math.max(binW_px - 2 * inset - 1, 1), bh);
+                }
+            }
+        }
+
+        const curve = points => {
+            ctx.beginPath();
+            for (let i = 0; i <= CURVE_POINTS; i++) {
+                const x = px(curveX[i]), y = py(points[i]);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        };
+
+        // ── Analytical curve ──
         ctx.strokeStyle = '#00d4ff';
         ctx.lineWidth = 2.5;
         ctx.shadowColor = '#00d4ff';
         ctx.shadowBlur = 6;
-        for (let i = 0; i <= 200; i++) {
-            const px = pad.left + (i / 200) * pw;
-            const py = pad.top + ph - Math.min(analPoints[i] / yMax, 1) * ph;
-            if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+        curve(analPoints);
+        ctx.shadowBlur = 0;
+
+        // ── Finite-difference reference (dashed, over the analytical curve) ──
+        if (fdPoints.length) {
+            ctx.strokeStyle = '#c39bff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            curve(fdPoints);
+            ctx.setLineDash([]);
+        }
+
+        // ── Trapped solutions: local equilibrium (dashed) and finite differences (dotted) ──
+        for (const [points, dash, color] of [[trapPoints, [6, 4], TRAP_PLOT_COLOR], [fdTrapPoints, [2, 3], '#c39bff']]) {
+            if (!points.length) continue;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(dash);
+            curve(points);
+            ctx.setLineDash([]);
+        }
+
+        // ── Frozen profiles: their analytical curve and a marker per bin ──
+        for (const o of overlays) {
+            ctx.strokeStyle = o.color;
+            ctx.fillStyle = o.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            o.curve.x.forEach((x, i) => i === 0 ? ctx.moveTo(px(x), py(o.curve.y[i])) : ctx.lineTo(px(x), py(o.curve.y[i])));
+            ctx.stroke();
+            for (let i = 0; i < o.centers.length; i++) ctx.fillRect(px(o.centers[i]) - 2.5, py(o.simulated[i]) - 2.5, 5, 5);
+        }
+
+        // ── Residuals: simulated − analytical per bin, with the bar's ±1σ ──
+        ctx.strokeStyle = 'rgba(0, 212, 255, 0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath(); ctx.moveTo(pad.left, ry(0)); ctx.lineTo(pad.left + pw, ry(0)); ctx.stroke();
+        ctx.strokeStyle = 'rgba(255, 220, 180, 0.6)';
+        ctx.beginPath();
+        for (let i = i0; i < i1; i++) {
+            const sigma = Math.sqrt(hist[i]) * scale;
+            if (sigma === 0) continue;
+            const cx = px(xMin + (i + 0.5) * binW);
+            ctx.moveTo(cx, ry(residuals[i] + sigma)); ctx.lineTo(cx, ry(residuals[i] - sigma));
         }
         ctx.stroke();
-        ctx.shadowBlur = 0;
+        ctx.fillStyle = '#ff9f43';
+        const dot = Math.min(2.5, Math.max(binW_px / 3, 1));
+        for (let i = i0; i < i1; i++) {
+            ctx.beginPath();
+            ctx.arc(px(xMin + (i + 0.5) * binW), ry(residuals[i]), dot, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+
+        // ── Flux planes (x profiles only) ──
+        if (axis === 'x') {
+            ctx.strokeStyle = 'rgba(46, 204, 113, 0.7)';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([3, 3]);
+            for (const x of sim.fluxPlanes) {
+                ctx.beginPath(); ctx.moveTo(px(x), pad.top); ctx.lineTo(px(x), rTop + rh); ctx.stroke();
+            }
+            ctx.setLineDash([]);
+        }
+        ctx.restore();
+
+        // ── Times of the frozen profiles, and of the bars ──
+        if (overlays.length) {
+            ctx.font = '11px Inter';
+            ctx.textAlign = 'right';
+            const entries = [...overlays.map(o => [o.color, o.time]), ['#ff9f43', sim.time]];
+            entries.forEach(([color, t], k) => {
+                ctx.fillStyle = color;
+                ctx.fillText(`t = ${t.toFixed(2)} s${k === entries.length - 1 ? ' (bars)' : ''}`, pad.left + pw - 6, pad.top + 14 + k * 14);
+            });
+        }
+
+        // ── Crosshair and readout at the pointer ──
+        const p = this.pointer;
+        if (!p || p.x < pad.left || p.x > pad.left + pw || p.y < pad.top || p.y > rTop + rh) return;
+        const x = vMin + (p.x - pad.left) / pw * vRange;
+        const i = Math.min(Math.max(Math.floor((x - xMin) / binW), 0), n - 1);
+        ctx.strokeStyle = 'rgba(230, 235, 255, 0.45)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(p.x, pad.top); ctx.lineTo(p.x, rTop + rh);
+        if (p.y <= base) { ctx.moveTo(pad.left, p.y); ctx.lineTo(pad.left + pw, p.y); }
+        ctx.stroke();
+        ctx.setLineDash([]);
+        const sigma = Math.sqrt(hist[i]) * scale;
+        const lines = [
+            `${axis} = ${x.toFixed(3)} µm`,
+            `analytical ${formatValue(sim.analyticalAt(x))}`,
+            `bin ${(xMin + i * binW).toFixed(2)}–${(xMin + (i + 1) * binW).toFixed(2)}: ${formatValue(histPlot[i])} ± ${formatValue(sigma)}`,
+            `bin residual ${residuals[i] >= 0 ? '+' : '−'}${formatValue(Math.abs(residuals[i]))}`,
+        ];
+        ctx.font = '11px Inter';
+        const boxW = Math.max(...lines.map(l => ctx.measureText(l).width)) + 12;
+        const boxH = lines.length * 14 + 8;
+        const bx = p.x + 12 + boxW > pad.left + pw ? p.x - 12 - boxW : p.x + 12;
+        const by = Math.min(Math.max(p.y - boxH / 2, pad.top), h - boxH);
+        ctx.fillStyle = 'rgba(11, 11, 32, 0.9)';
+        ctx.strokeStyle = 'rgba(100, 120, 200, 0.6)';
+        ctx.fillRect(bx, by, boxW, boxH);
+        ctx.strokeRect(bx, by, boxW, boxH);
+        ctx.fillStyle = '#dfe4ff';
+        ctx.textAlign = 'left';
+        lines.forEach((l, k) => ctx.fillText(l, bx + 6, by + 16 + k * 14));
+    }
+}
+
+// ────────────────────── DATA COLLAPSE PLOT ──────────────────────
+/** Profiles from different times against η = (x − x₀)/√(Dt): a self-similar
+ *  solution puts every one of them on the same curve. */
+export class CollapsePlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {{color: string, eta: number[], y: number[]}[]} series from collapseProfile()
+     *  @param {{eta: number[], y: number[]} | null} curve from collapseCurve()
+     *  @param {string} xLabel
+     *  @param {string} yLabel */
+    draw(series, curve, xLabel, yLabel) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 25, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        const xLo = curve ? curve.eta[0] : Math.min(0, ...series.flatMap(s => s.eta));
+        const xHi = curve ? curve.eta[curve.eta.length - 1] : Math.max(1, ...series.flatMap(s => s.eta));
+        const yHi = Math.max(1e-6, ...(curve?.y ?? []), ...series.flatMap(s => s.y)) * 1.15;
+        const px = x => pad.left + (x - xLo) / (xHi - xLo) * pw;
+        const py = y => pad.top + ph - Math.min(Math.max(y / yHi, 0), 1) * ph;
+
+        // ── Grid, axes and labels ──
+        const xStep = niceStep(xHi - xLo, 8);
+        const xTicks = [];
+        for (let k = Math.ceil(xLo / xStep - 1e-6); k * xStep <= xHi + xStep * 1e-6; k++) xTicks.push(k * xStep);
+        ctx.strokeStyle = 'rgba(50,60,100,0.4)';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad.top + (i / 4) * ph;
+            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+        }
+        for (const t of xTicks) {
+            ctx.beginPath(); ctx.moveTo(px(t), pad.top); ctx.lineTo(px(t), pad.top + ph); ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.stroke();
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText(xLabel, pad.left + pw / 2, h - 5);
+        const digits = Math.max(0, -Math.floor(Math.log10(xStep) + 1e-9));
+        for (const t of xTicks) ctx.fillText(t.toFixed(digits), px(t), pad.top + ph + 16);
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((i / 4 * yHi).toFixed(2), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(yLabel, 0, 0);
+        ctx.restore();
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(pad.left, pad.top, pw, ph);
+        ctx.clip();
+
+        // ── The similarity solution ──
+        if (curve) {
+            ctx.strokeStyle = '#00d4ff';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            curve.eta.forEach((e, i) => i === 0 ? ctx.moveTo(px(e), py(curve.y[i])) : ctx.lineTo(px(e), py(curve.y[i])));
+            ctx.stroke();
+        }
+
+        // ── Each profile's bins ──
+        for (const s of series) {
+            ctx.fillStyle = s.color;
+            for (let i = 0; i < s.eta.length; i++) {
+                ctx.beginPath();
+                ctx.arc(px(s.eta[i]), py(s.y[i]), 2.5, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+        }
+        ctx.restore();
+    }
+}
+
+// ────────────────────── ARRHENIUS PLOT ──────────────────────
+/** ln D vs 1000/T for D values recorded from runs at several temperatures,
+ *  with their least-squares line and the line implied by ν₀, λ and Q. */
+export class ArrheniusPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {{T: number, D: number}[]} points
+     *  @param {import('./simulation.js').DiffusionSim} sim supplies the expected line
+     *  @param {{Q: number, D0: number} | null} fit */
+    draw(points, sim, fit) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 25, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        // x = 1000/T over the program's temperatures and every recorded point
+        const temps = [...sim.temperatureProgram.map(p => p.T), ...points.map(p => p.T)];
+        let xLo = 1000 / Math.max(...temps), xHi = 1000 / Math.min(...temps);
+        const xPad = Math.max((xHi - xLo) * 0.1, 0.02);
+        xLo -= xPad; xHi += xPad;
+        const expected = x => Math.log(sim.nu0 * sim.lambda * sim.lambda / 6) - sim.activationEnergy * x / (BOLTZMANN_EV * 1000);
+        const ys = [expected(xLo), expected(xHi), ...points.map(p => Math.log(p.D))];
+        let yLo = Math.min(...ys), yHi = Math.max(...ys);
+        const yPad = Math.max((yHi - yLo) * 0.1, 0.5);
+        yLo -= yPad; yHi += yPad;
+        const px = x => pad.left + (x - xLo) / (xHi - xLo) * pw;
+        const py = y => pad.top + ph - (y - yLo) / (yHi - yLo) * ph;
+
+        // ── Grid, axes and labels ──
+        ctx.strokeStyle = 'rgba(50,60,100,0.4)';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad.top + (i / 4) * ph;
+            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+            const x = pad.left + (i / 4) * pw;
+            ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.stroke();
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('1000 / T (K⁻¹)', pad.left + pw / 2, h - 5);
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((xLo + (i / 4) * (xHi - xLo)).toFixed(3), pad.left + (i / 4) * pw, pad.top + ph + 16);
+        }
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((yLo + (i / 4) * (yHi - yLo)).toFixed(1), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('ln D (µm²/s)', 0, 0);
+        ctx.restore();
+
+        // ── Expected line: D = (ν₀λ²/6)·exp(−Q/kT) ──
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(px(xLo), py(expected(xLo)));
+        ctx.lineTo(px(xHi), py(expected(xHi)));
+        ctx.stroke();
+
+        // ── Least-squares line through the measurements ──
+        if (fit) {
+            const fitted = x => Math.log(fit.D0) - fit.Q * x / (BOLTZMANN_EV * 1000);
+            ctx.strokeStyle = 'rgba(255, 159, 67, 0.8)';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(px(xLo), py(fitted(xLo)));
+            ctx.lineTo(px(xHi), py(fitted(xHi)));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // ── Measured points ──
+        ctx.fillStyle = '#ff9f43';
+        for (const p of points) {
+            ctx.beginPath();
+            ctx.arc(px(1000 / p.T), py(Math.log(p.D)), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+}
+
+// ────────────────────── BOLTZMANN–MATANO PLOT ──────────────────────
+/** D against C/C₀ as the Boltzmann–Matano analysis recovers it from the
+ *  binned profile, over the D(C) the walk was given. */
+export class MatanoPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {{c: number, D: number, expected: number}[]} points from boltzmannMatano() */
+    draw(points) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 25, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        const xHi = Math.max(1, ...points.map(p => p.c));
+        const finite = points.filter(p => Number.isFinite(p.D));
+        const yHi = Math.max(1e-6, ...points.map(p => p.expected), ...finite.map(p => p.D)) * 1.15;
+        const px = x => pad.left + x / xHi * pw;
+        const py = y => pad.top + ph - Math.min(Math.max(y / yHi, 0), 1) * ph;
+
+        // ── Grid, axes and labels ──
+        ctx.strokeStyle = 'rgba(50,60,100,0.4)';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad.top + (i / 4) * ph;
+            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+            const x = pad.left + (i / 4) * pw;
+            ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.stroke();
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('C / C₀', pad.left + pw / 2, h - 5);
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((i / 4 * xHi).toFixed(2), pad.left + (i / 4) * pw, pad.top + ph + 16);
+        }
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            ctx.fillText((i / 4 * yHi).toFixed(2), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('D (µm²/s)', 0, 0);
+        ctx.restore();
+
+        // ── D(C) the walk was given ──
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((p, i) => i === 0 ? ctx.moveTo(px(p.c), py(p.expected)) : ctx.lineTo(px(p.c), py(p.expected)));
+        ctx.stroke();
+
+        // ── Recovered points ──
+        ctx.fillStyle = '#ff9f43';
+        for (const p of finite) {
+            ctx.beginPath();
+            ctx.arc(px(p.c), py(p.D), 4, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+}
+
+// ────────────────────── PERMEATION PLOT ──────────────────────
+/** Permeated amount Q(t) through a membrane against the Daynes–Barrer curve,
+ *  with the fitted late-time line and its time lag, and the exit flux J(t)
+ *  on a right-hand axis. */
+export class PermeationPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {import('./analysis.js').FluxRecord} record
+     *  @param {import('./simulation.js').DiffusionSim} sim
+     *  @param {number} L membrane thickness (µm)
+     *  @param {number} scale absorbed atoms → Q/C₀ (µm)
+     *  @param {{lag: number, slope: number, intercept: number} | null} fit from timeLag() */
+    draw(record, sim, L, scale, fit) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 58, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        const samples = record.samples;
+        const last = samples[samples.length - 1];
+        const tMax = last && last.t > 0 ? last.t : 1;
+        const expected = samples.map(s => expectedPermeation(sim, L, s.t));
+        // J(t) from the change in Q over about a fortieth of the run
+        const flux = [];
+        for (let i = 1, j = 0; i < samples.length; i++) {
+            while (j < i - 1 && samples[i].t - samples[j + 1].t >= tMax / 40) j++;
+            const dt = samples[i].t - samples[j].t;
+            if (dt > 0) flux.push({ t: (samples[i].t + samples[j].t) / 2, J: (samples[i].exit - samples[j].exit) * scale / dt });
+        }
+        let qMax = 0, jMax = 0;
+        for (const s of samples) qMax = Math.max(qMax, s.exit * scale);
+        for (const e of expected) if (e) { qMax = Math.max(qMax, e.Q); jMax = Math.max(jMax, e.J); }
+        for (const f of flux) jMax = Math.max(jMax, f.J);
+        qMax = qMax > 0 ? qMax * 1.1 : 1;
+        jMax = jMax > 0 ? jMax * 1.1 : 1;
+        const px = t => pad.left + (t / tMax) * pw;
+        const py = q => pad.top + ph - Math.min(Math.max(q / qMax, 0), 1) * ph;
+        const pj = J => pad.top + ph - Math.min(Math.max(J / jMax, 0), 1) * ph;
+
+        // ── Grid, axes and labels ──
+        ctx.strokeStyle = 'rgba(50,60,100,0.4)';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad.top + (i / 4) * ph;
+            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+            const x = pad.left + (i / 4) * pw;
+            ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top);
+        ctx.stroke();
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Time t (s)', pad.left + pw / 2, h - 5);
+        for (let i = 0; i <= 4; i++) ctx.fillText(((i / 4) * tMax).toFixed(1), pad.left + (i / 4) * pw, pad.top + ph + 16);
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) ctx.fillText((i / 4 * qMax).toFixed(2), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        ctx.textAlign = 'left';
+        for (let i = 0; i <= 4; i++) ctx.fillText((i / 4 * jMax).toFixed(3), pad.left + pw + 8, pad.top + ph - (i / 4) * ph + 4);
+        ctx.textAlign = 'center';
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.fillText('Q / C₀ (µm)', 0, 0);
+        ctx.restore();
+        ctx.save();
+        ctx.translate(w - 8, pad.top + ph / 2);
+        ctx.rotate(Math.PI / 2);
+        ctx.fillText('J / C₀ (µm/s)', 0, 0);
+        ctx.restore();
+        if (samples.length < 2) return;
+
+        const line = (points, x, y) => {
+            ctx.beginPath();
+            let started = false;
+            for (const p of points) {
+                if (!p) continue;
+                if (started) ctx.lineTo(px(x(p)), y(p)); else ctx.moveTo(px(x(p)), y(p));
+                started = true;
+            }
+            ctx.stroke();
+        };
+
+        // ── Daynes–Barrer Q(t) (solid) and J(t) (dashed) ──
+        const timed = expected.map((e, i) => e && { t: samples[i].t, ...e });
+        ctx.strokeStyle = '#00d4ff';
+        ctx.lineWidth = 2;
+        line(timed, p => p.t, p => py(p.Q));
+        ctx.strokeStyle = 'rgba(255, 107, 157, 0.9)';
+        ctx.setLineDash([6, 4]);
+        line(timed, p => p.t, p => pj(p.J));
+        ctx.setLineDash([]);
+
+        // ── Measured J(t) and Q(t) ──
+        ctx.strokeStyle = 'rgba(255, 107, 157, 0.6)';
+        ctx.lineWidth = 1.5;
+        line(flux, p => p.t, p => pj(p.J));
+        ctx.strokeStyle = '#ff9f43';
+        ctx.lineWidth = 2.5;
+        line(samples, s => s.t, s => py(s.exit * scale));
+
+        // ── Late-time line Q = b(t − t_lag) and the lag it cuts off ──
+        // The expected lag L²/6D needs one D: none along a temperature program
+        const lags = expected[expected.length - 1] && !sim.arrhenius
+            ? [{ t: L * L / (6 * sim.diffusivityAt(0)), color: '#00d4ff' }] : [];
+        if (fit) {
+            ctx.strokeStyle = 'rgba(255, 159, 67, 0.8)';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(px(fit.lag), py(0));
+            ctx.lineTo(px(tMax), py(fit.intercept + fit.slope * tMax));
+            ctx.stroke();
+            ctx.setLineDash([]);
+            lags.push({ t: fit.lag, color: '#ff9f43' });
+        }
+        for (const { t, color } of lags) {
+            if (t > tMax) continue;
+            const x = px(t), y = pad.top + ph;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x - 5, y - 8);
+            ctx.lineTo(x + 5, y - 8);
+            ctx.closePath();
+            ctx.fill();
+        }
+    }
+}
+
+// ────────────────────── MSD PLOT ──────────────────────
+const MSD_SERIES = [
+    { key: 'x', color: '#ff6b9d' },
+    { key: 'y', color: '#2ecc71' },
+    { key: 'z', color: '#9b59b6' },
+    { key: 'r', color: '#ff9f43' },
+];
+
+/** Mean-squared displacement vs time: ⟨Δx²⟩, ⟨Δy²⟩, ⟨Δz²⟩ and ⟨Δr²⟩ against
+ *  the free-diffusion lines 2∫Dᵢ dt (per axis) and their sum (total). */
+export class MsdPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {{t: number, x: number, y: number, z: number, r: number, Dt: {x: number, y: number, z: number}, shift: number}[]} samples
+     *  one per frame since the last reset, Dt = ∫Dᵢ dt per axis and shift = ∫v dt at that time */
+    draw(samples) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 25, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        const last = samples[samples.length - 1];
+        const tMax = last && last.t > 0 ? last.t : 1;
+        let yMax = 0;
+        const total = s => 2 * (s.Dt.x + s.Dt.y + s.Dt.z) + s.shift * s.shift;
+        for (const s of samples) yMax = Math.max(yMax, s.r, total(s));
+        yMax = yMax > 0 ? yMax * 1.1 : 1;
+        const px = t => pad.left + (t / tMax) * pw;
+        const py = v => pad.top + ph - Math.min(v / yMax, 1) * ph;
+
+        // ── Grid, axes and labels ──
+        ctx.strokeStyle = 'rgba(50,60,100,0.4)';
+        ctx.lineWidth = 0.5;
+        for (let i = 0; i <= 4; i++) {
+            const y = pad.top + (i / 4) * ph;
+            ctx.beginPath(); ctx.moveTo(pad.left, y); ctx.lineTo(pad.left + pw, y); ctx.stroke();
+            const x = pad.left + (i / 4) * pw;
+            ctx.beginPath(); ctx.moveTo(x, pad.top); ctx.lineTo(x, pad.top + ph); ctx.stroke();
+        }
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(pad.left, pad.top);
+        ctx.lineTo(pad.left, pad.top + ph);
+        ctx.lineTo(pad.left + pw, pad.top + ph);
+        ctx.stroke();
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Time t (s)', pad.left + pw / 2, h - 5);
+        for (let i = 0; i <= 4; i++) ctx.fillText(((i / 4) * tMax).toFixed(1), pad.left + (i / 4) * pw, pad.top + ph + 16);
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const v = (i / 4) * yMax;
+            ctx.fillText(v < 0.01 && v > 0 ? v.toExponential(1) : v.toFixed(1), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText('MSD (µm²)', 0, 0);
+        ctx.restore();
+        if (samples.length < 2) return;
+
+        // ── Theory: 2∫(Dₓ + D_y + D_z) dt + (∫v dt)² (solid) and 2∫Dᵢ dt (dashed) ──
+        // Drift adds to r only through x. An isotropic walk has a single
+        // dashed line; an anisotropic lattice one per axis, in the axis colour.
+        const end = last.Dt;
+        const isotropic = end.x === end.y && end.y === end.z;
+        const lines = [{ value: total, color: '#00d4ff', dash: [] }];
+        for (const { key, color } of MSD_SERIES.slice(0, isotropic ? 1 : 3)) {
+            lines.push({ value: s => 2 * s.Dt[key], color: isotropic ? '#00d4ff' : color, dash: [6, 4] });
+        }
+        ctx.lineWidth = 2;
+        for (const { value, color, dash } of lines) {
+            ctx.strokeStyle = color;
+            ctx.setLineDash(dash);
+            ctx.beginPath();
+            for (let i = 0; i < samples.length; i++) {
+                const x = px(samples[i].t), y = py(value(samples[i]));
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+        ctx.setLineDash([]);
+
+        // ── Measured MSD ──
+        for (const { key, color } of MSD_SERIES) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = key === 'r' ? 2.5 : 1.5;
+            ctx.beginPath();
+            for (let i = 0; i < samples.length; i++) {
+                const x = px(samples[i].t), y = py(samples[i][key]);
+                if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+            }
+            ctx.stroke();
+        }
+    }
+}
+
+// ────────────────────── CONCENTRATION HEATMAP ──────────────────────
+const HEATMAP_ROWS = 16;
+const HEAT_STOPS = [
+    [0, [11, 11, 32]],
+    [0.25, [59, 26, 110]],
+    [0.5, [179, 48, 110]],
+    [0.75, [255, 159, 67]],
+    [1, [255, 243, 196]],
+];
+
+/** RGB for t ∈ [0, 1] along HEAT_STOPS. */
+function heatColor(t) {
+    t = Math.min(Math.max(t, 0), 1);
+    let k = 1;
+    while (k < HEAT_STOPS.length - 1 && t > HEAT_STOPS[k][0]) k++;
+    const [t0, c0] = HEAT_STOPS[k - 1], [t1, c1] = HEAT_STOPS[k];
+    const f = (t - t0) / (t1 - t0);
+    return c0.map((c, i) => c + (c1[i] - c) * f);
+}
+
+/** Atom density projected onto the x–y or x–z plane, on the same scale as
+ *  the 1D plot: the cells of each column average to that bin's C/C₀ or
+ *  density, so a laterally uniform profile gives uniform columns. */
+export class HeatmapPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.image = document.createElement('canvas'); // one pixel per cell
+        this.image.width = NUM_BINS;
+        this.image.height = HEATMAP_ROWS;
+        this.cachedMax = 1;
+        this.lastMaxTime = 0;
+        this.resize();
+    }
+
+    resize() {
+        const wrap = this.canvas.parentElement;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        this.canvas.width = wrap.clientWidth * dpr;
+        this.canvas.height = wrap.clientHeight * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+
+    /** @param {'y' | 'z'} axis transverse axis of the plane */
+    draw(sim, axis) {
+        const ctx = this.ctx;
+        const dpr = Math.min(window.devicePixelRatio, 2);
+        const w = this.canvas.width / dpr;
+        const h = this.canvas.height / dpr;
+        const pad = { top: 16, right: 78, bottom: 38, left: 58 };
+        const pw = w - pad.left - pad.right;
+        const ph = h - pad.top - pad.bottom;
+        const xMin = sim.visibleMin, xMax = sim.visibleMax;
+        const hw = DOMAIN_WIDTH / 2;
+        const isConc = sim.surfaceNormalized;
+
+        ctx.fillStyle = '#0b0b20';
+        ctx.fillRect(0, 0, w, h);
+
+        // ── Cell values ──
+        const grid = sim.getHistogram2D(axis, NUM_BINS, HEATMAP_ROWS);
+        const columns = new Float32Array(NUM_BINS);
+        for (let i = 0; i < grid.length; i++) columns[i % NUM_BINS] += grid[i];
+        const scale = histogramScale(sim, columns, (xMax - xMin) / NUM_BINS) * HEATMAP_ROWS;
+        let vMax;
+        if (isConc) {
+            vMax = 1;
+        } else {
+            // Auto-scale like the 1D plot, refreshed every 0.5 s
+            const now = performance.now();
+            if (now - this.lastMaxTime > 500) {
+                let m = 0;
+                for (let i = 0; i < grid.length; i++) m = Math.max(m, grid[i] * scale);
+                this.cachedMax = m > 1e-6 ? m : 1;
+                this.lastMaxTime = now;
+            }
+            vMax = this.cachedMax;
+        }
+        const img = this.image.getContext('2d');
+        const data = img.createImageData(NUM_BINS, HEATMAP_ROWS);
+        for (let iv = 0; iv < HEATMAP_ROWS; iv++) {
+            for (let ix = 0; ix < NUM_BINS; ix++) {
+                const [r, g, b] = heatColor(grid[ix + NUM_BINS * iv] * scale / vMax);
+                const p = ((HEATMAP_ROWS - 1 - iv) * NUM_BINS + ix) * 4; // +y/+z up
+                data.data[p] = r; data.data[p + 1] = g; data.data[p + 2] = b; data.data[p + 3] = 255;
+            }
+        }
+        img.putImageData(data, 0, 0);
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(this.image, pad.left, pad.top, pw, ph);
+
+        // ── Axes and labels ──
+        ctx.strokeStyle = 'rgba(100,120,200,0.6)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(pad.left, pad.top, pw, ph);
+        ctx.fillStyle = '#8890b0';
+        ctx.font = '11px Inter';
+        ctx.textAlign = 'center';
+        ctx.fillText('Position x (µm)', pad.left + pw / 2, h - 5);
+        for (let i = 0; i <= 10; i++) {
+            const px = pad.left + (i / 10) * pw;
+            const val = xMin + (i / 10) * (xMax - xMin);
+            ctx.beginPath(); ctx.moveTo(px, pad.top + ph); ctx.lineTo(px, pad.top + ph + 5); ctx.stroke();
+            ctx.fillText(Number.isInteger(val) ? val + '' : val.toFixed(1), px, pad.top + ph + 17);
+        }
+        ctx.textAlign = 'right';
+        for (let i = 0; i <= 4; i++) {
+            const v = -hw + (i / 4) * 2 * hw;
+            ctx.fillText(v.toFixed(0), pad.left - 8, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(13, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(`${axis} (µm)`, 0, 0);
+        ctx.restore();
+
+        // ── Colour bar ──
+        const bx = pad.left + pw + 14, bw = 10;
+        for (let i = 0; i < ph; i++) {
+            const [r, g, b] = heatColor(1 - i / ph);
+            ctx.fillStyle = `rgb(${r | 0},${g | 0},${b | 0})`;
+            ctx.fillRect(bx, pad.top + i, bw, 1);
+        }
+        ctx.strokeRect(bx, pad.top, bw, ph);
+        ctx.fillStyle = '#8890b0';
+        ctx.textAlign = 'left';
+        for (let i = 0; i <= 4; i++) {
+            const v = (i / 4) * vMax;
+            const label = isConc ? v.toFixed(2) : v < 0.01 && v > 0 ? v.toExponential(1) : v.toFixed(2);
+            ctx.fillText(label, bx + bw + 5, pad.top + ph - (i / 4) * ph + 4);
+        }
+        ctx.save();
+        ctx.translate(w - 6, pad.top + ph / 2);
+        ctx.rotate(-Math.PI / 2);
+        ctx.textAlign = 'center';
+        ctx.fillText(isConc ? 'C / C₀' : 'Density (µm⁻¹)', 0, 0);
+        ctx.restore();
     }
 }
@@ -0,0 +1,593 @@
+// Scenario registry: everything that makes one diffusion case differ from
+// another — domain, initial atoms, boundaries, analytical solution, plot
+// normalization, scene decorations and sidebar text — lives in one object.
+// DiffusionSim, SceneManager and main.js only ever ask the active scenario.
+//
+// New teaching cases belong in the built-in list at the bottom of this file,
+// so the worker and the CLI (which import simulation.js, not the page) see
+// them too. Nothing here touches the DOM or three.js.
+//
+// simulation.js imports this module and this module imports simulation.js;
+// that is safe as long as neither touches the other's exports at load time,
+// so the helpers below are only used inside scenario functions.
+import { DOMAIN_LENGTH, erfc, expErfc, surfaceStep, slabSolution } from './simulation.js';
+
+/**
+ * @typedef {object} Decoration  Scene element, drawn by SceneManager:
+ *   {type: 'plane', x, color?}   source plane with outline (default: scenario color)
+ *   {type: 'face', x, color}     boundary face, drawn more opaque
+ *   {type: 'volume', from, to, color, opacity}  tinted box spanning x ∈ [from, to]
+ *   {type: 'point', x, color?}   point-source marker at (x, 0, 0)
+ *   {type: 'line', x, color?}    line source along z through (x, 0)
+ *
+ * @typedef {object} Continuum  Fick's second law for the finite-difference
+ *   solver (solver.js), in the profile coordinate and on the plotted scale
+ *   (C/C₀, or a unit mass for density plots):
+ *   {from, to}              range solved on
+ *   geometry?               'planar' (default) | 'cylindrical' | 'spherical' (radial ρ or r)
+ *   D(x, t, c)              diffusivity (µm²/s); c is the local C, for D(C)
+ *   velocity?(t)            drift along x (µm/s)
+ *   solubility?(x)          C/s is continuous, so C₂/C₁ = s₂/s₁ at an interface (default 1)
+ *   breaks?                 points that must fall on a cell face (interfaces)
+ *   resolution?             shortest jump length (default λ), which sets the cell size
+ *   initial                 C at x (a function), or {film: x0} for a unit mass at x0
+ *   left, right             {type: 'flux'} (no flux) | {type: 'value', value: t => C}
+ *
+ * @typedef {object} Scenario
+ * @property {number} id            case number (sim.caseNum), sidebar badge
+ * @property {string} label         sidebar title
+ * @property {string} subtitle      sidebar one-liner
+ * @property {string} title         page header, after "Case N — "
+ * @property {string} summary       header paragraph (HTML)
+ * @property {number} color         0xRRGGBB for the badge and source plane
+ * @property {object} [params]      case-specific parameters and their defaults;
+ *   every DiffusionSim gets them as fields, getParams() includes them and
+ *   sim.configure() restarts the run when an active scenario's one changes
+ * @property {boolean} centered     visible window is [−V/2, V/2] instead of [0, V]
+ * @property {(sim) => [number, number]} domain  x range atoms live in
+ * @property {(sim) => 'firstBin'|'reservoir'|'density'} normalization  see histogramScale()
+ * @property {(sim) => ((t: number) => number) | null} [reservoir]
+ *   C_s/C₀ over time when x = 0 is a reservoir face (see refillReservoir), else null
+ * @property {(sim) => {x: number, gamma2: number, lambda2: number, a12: number, a21: number} | null} [interface]
+ *   second material beyond x with its own Γ/λ and crossing acceptances
+ * @property {(sim) => void} place  initial atoms (ignored with a reservoir)
+ * @property {(sim, from: number, to: number) => void} [fill]  where atoms added
+ *   mid-run by setNumAtoms() start (default: the x = 0 plane)
+ * @property {(sim) => {y: boolean, z: boolean}} [periodic]  lateral wrap (default: both)
+ * @property {(sim) => {axis: string, label: string, min: number, max: number, at: (x, y, z) => number}} [profile]
+ *   coordinate the 1D profile is binned by (default: x over the visible window);
+ *   analytical, cdf and momentFactor are then functions of this coordinate
+ * @property {(sim) => (x: number) => number} boundary  x after a jump;
+ *   NaN removes the atom and counts it in sim.absorbed
+ * @property {(sim, x: number, Dt: number) => number} analytical  C/C₀ or density, Dt = ∫D dt
+ * @property {(sim, x: number, Dt: number) => number} [cdf]  analytical CDF of positions
+ * @property {(sim) => number | null} [momentFactor]  k in ⟨x²⟩ = k·Dt, null if not applicable
+ *   (x is measured from the drifted source, x − ∫v dt)
+ * @property {(sim) => number | null} [similarity]  x₀ when the profile is a function of
+ *   η = (x − x₀)/√(Dt) alone (density times √(Dt)), which lets profiles from different
+ *   times collapse onto one curve; null or absent when a length or time scale breaks that
+ * @property {(sim) => boolean} [drift]  analytical and cdf include the drift of a
+ *   biased walk (sim.driftShift, v/D = 6b/λ); otherwise step() ignores sim.bias
+ * @property {(sim) => 'decay' | ((x: number) => number) | null} [reaction]  how the
+ *   analytical solution carries a first-order sink and traps in local equilibrium:
+ *   'decay' when every boundary is homogeneous, so analytical(x, Dt/(1 + K)) decays
+ *   as e^{−kt/(1 + K)} and a share 1/(1 + K) of it is mobile; or the case's own
+ *   mobile solution; or null (the default) when the closed form ignores them
+ * @property {(sim) => {L: number, source: boolean, absorb: boolean}} [slab]  thickness of a
+ *   slab case and its faces: a C₀ source at x = 0 (else a reflecting film) and an absorbing
+ *   x = L (else reflecting); read by the finite-slab functions a case shares
+ * @property {(sim) => number | null} [permeation]  thickness L of a membrane: C₀ held at
+ *   x = 0 and every atom absorbed at x = L counted as permeated (the Daynes–Barrer
+ *   time-lag setup), else null
+ * @property {(sim) => Continuum | null} [continuum]  the same problem as a PDE, for the
+ *   finite-difference reference curve
+ * @property {(sim) => string} analyticsLabel  plot legend for the analytical curve
+ * @property {(sim) => Decoration[]} decorations
+ */
+
+const registry = new Map();
+
+const REQUIRED = ['id', 'label', 'title', 'color', 'domain', 'normalization', 'place', 'boundary',
+    'analytical', 'analyticsLabel', 'decorations'];
+
+/** Add or replace a scenario. Register before constructing any DiffusionSim
+ *  so its params become fields of every engine. */
+export function registerScenario(scenario) {
+    for (const key of REQUIRED) {
+        if (!(key in scenario)) throw new Error(`Scenario ${scenario.id ?? '?'} is missing "${key}"`);
+    }
+    registry.set(scenario.id, scenario);
+    return scenario;
+}
+
+export function getScenario(id) {
+    const scenario = registry.get(id);
+    if (!scenario) throw new Error(`Unknown scenario: ${id}`);
+    return scenario;
+}
+
+/** All scenarios in sidebar order. */
+export function listScenarios() {
+    return [...registry.values()].sort((a, b) => a.id - b.id);
+}
+
+// ── Shared pieces ──
+/** Gaussian density of a unit thin film at x = 0: both ways (share 1/2) or one way. */
+function thinFilm(x, Dt, share) {
+    if (Dt < 1e-9) return 0;
+    return share * Math.exp(-(x * x) / (4 * Dt)) / Math.sqrt(Math.PI * Dt);
+}
+
+/** v/D (µm⁻¹) of the biased walk: 6b/λ, independent of Γ. */
+function driftRatio(sim) {
+    return 6 * sim.driftBias / sim.lambda;
+}
+
+/** C/C₀ below a surface held at C₀ with the medium drifting at v (Ogata &
+ *  Banks 1961): ½[erfc((x − vt)/2√(Dt)) + e^{vx/D}·erfc((x + vt)/2√(Dt))],
+ *  with vt → `shift` and v/D → `k`. Reduces to erfc(x/2√(Dt)) without drift.
+ *  A first-order loss (`kt` = ∫k dt) turns it into the van Genuchten–Alves
+ *  form with ut = √((vt)² + 4kt·Dt) in place of vt,
+ *  ½[e^{(v−u)x/2D}·erfc((x − ut)/2√(Dt)) + e^{(v+u)x/2D}·erfc((x + ut)/2√(Dt))],
+ *  which is Danckwerts' solution without drift. */
+function driftingSurface(x, Dt, shift, k, kt = 0) {
+    if (k === 0 && kt === 0) return surfaceStep(x, Dt);
+    if (Dt < 1e-9) return x < 0.01 ? 1 : 0;
+    const w = 2 * Math.sqrt(Dt);
+    if (kt === 0) return 0.5 * (erfc((x - shift) / w) + expErfc(k * x, (x + shift) / w));
+    const ut = Math.sqrt(shift * shift + 4 * kt * Dt);
+    return 0.5 * (expErfc((shift - ut) * x / (2 * Dt), (x - ut) / w)
+        + expErfc((shift + ut) * x / (2 * Dt), (x + ut) / w));
+}
+
+/** Case 1 schedule: one surface response per step in C_s, each starting at
+ *  its own time. Traps in local equilibrium scale D and the sink rate by `slow`. */
+function scheduledSurface(sim, x, slow = 1, loss = 0) {
+    const k = driftRatio(sim);
+    let c = 0, prev = 0;
+    for (const step of sim.surfaceSchedule) {
+        if (step.t > sim.time) break;
+        const stepDt = sim.integratedD(step.t, sim.time) * slow;
+        const kt = loss * slow * (sim.time - step.t);
+        c += (step.c - prev) * driftingSurface(x, stepDt, sim.driftShift(step.t, sim.time), k, kt);
+        prev = step.c;
+    }
+    return c;
+}
+
+/** f(c) of a concentration-dependent D as step() applies it, else 1. */
+function concentrationScale(sim) {
+    if (!sim.concentrationDependent) return () => 1;
+    const f = sim.concentrationFactor;
+    return c => Math.max(f(c), 0);
+}
+
+/** D along x and the drift velocity at time t (following the temperature
+ *  program) — the medium of every single-material continuum model. */
+function medium(sim) {
+    const ratio = sim.diffusionRatios.x;
+    const scale = concentrationScale(sim);
+    return {
+        D: (x, t, c) => sim.lambda * sim.lambda / 6 * sim.gammaAt(t) * ratio * scale(c),
+        velocity: t => sim.driftBias * sim.gammaAt(t) * sim.lambda,
+    };
+}
+
+/** Thickness and faces of the active slab case (Case 4, or the membrane built from it). */
+function slabOf(sim) {
+    return sim.scenario.slab(sim);
+}
+
+const NO_FLUX = { type: 'flux' };
+
+/** Boundary held at C (a number, or a function of time). */
+function fixedAt(c) {
+    return { type: 'value', value: typeof c === 'function' ? c : () => c };
+}
+
+// ── Built-in cases ──
+export const OUTGAS_DEPTH = 30;  // µm — thickness of the pre-loaded body in Case 1 outgassing
+export const FINITE_SLAB_CASE = 4;
+export const DIFFUSION_COUPLE_CASE = 5;
+export const COUPLE_HALF_LENGTH = 25; // µm — Case 5 runs on [−25, 25] with sealed ends
+
+const SURFACE_LABELS = { constant: 'Analytical erfc', outgas: 'Analytical erf', schedule: 'Superposed erfc' };
+
+registerScenario({
+    id: 1,
+    label: 'Semi-infinite Diffusion',
+    subtitle: 'Fixed surface C₀',
+    title: 'Semi-Infinite Surface Diffusion',
+    summary: 'Diffusion from a constant-concentration surface into a semi-infinite solid (infinite along the '
+        + 'Positive X-axis). <br> Scroll down for the analytical solution.',
+    color: 0xff6b9d,
+    params: {
+        surfaceMode: 'constant', // 'constant' (clamped C₀ surface) | 'outgas' (surface sink) | 'schedule'
+        surfaceSchedule: [{ t: 0, c: 1 }, { t: 20, c: 0 }], // C_s(t)/C₀ steps for 'schedule'
+    },
+    centered: false,
+    domain: sim => [0, sim.surfaceMode === 'outgas' ? OUTGAS_DEPTH : DOMAIN_LENGTH],
+    // The legacy clamped surface can only be normalized by its first bin
+    normalization: sim => sim.surfaceMode === 'constant' ? 'firstBin' : 'reservoir',
+    reservoir(sim) {
+        if (sim.surfaceMode !== 'schedule') return null;
+        const schedule = sim.surfaceSchedule;
+        return t => {
+            let c = 0;
+            for (const step of schedule) {
+                if (step.t > t) break;
+                c = step.c;
+            }
+            return c;
+        };
+    },
+    place(sim) {
+        if (sim.surfaceMode === 'outgas') sim.placeUniform(0, OUTGAS_DEPTH); // body loaded to C₀
+        else sim.placeAtPlane(0);
+    },
+    boundary(sim) {
+        const xMax = sim.domainMax;
+        if (sim.surfaceMode === 'outgas') {
+            // Surface sink (the atom leaves the body), sealed back of the loaded body
+            return x => x < 0 ? NaN : x > xMax ? 2 * xMax - x : x;
+        }
+        if (sim.surfaceMode === 'schedule') return x => x > xMax ? xMax : x; // x < 0 is the reservoir band
+        return x => x < 0 ? 0 : x > xMax ? xMax : x; // constant-C source, clamp at 100 µm
+    },
+    // The legacy clamped surface is a finite film piling up at x = 0, not a
+    // C₀ reservoir, so it cannot carry the Ogata–Banks solution; a schedule of
+    // "0:1" is the drifting fixed surface.
+    drift: sim => sim.surfaceMode !== 'constant',
+    analytical(sim, x, Dt) {
+        const k = driftRatio(sim);
+        if (sim.surfaceMode === 'outgas') {
+            // Uniform body emptying through a sink: the complement of a
+            // fixed-surface slab with a sealed back (→ erf while √(Dt) ≪ depth).
+            // With drift, the complement of the semi-infinite solution.
+            if (x < 0 || x > OUTGAS_DEPTH) return 0;
+            if (k !== 0) return 1 - driftingSurface(x, Dt, sim.driftShift(0, sim.time), k);
+            return 1 - slabSolution(x, Dt, OUTGAS_DEPTH, true, false);
+        }
+        if (sim.surfaceMode === 'schedule') return scheduledSurface(sim, x);
+        return surfaceStep(x, Dt);
+    },
+    // The reservoir holds the mobile level at C_s, so a schedule takes the
+    // sink as a Danckwerts term; the outgassing body is sealed everywhere but
+    // the emptied surface, and simply decays. The clamped surface has neither.
+    reaction(sim) {
+        if (sim.surfaceMode === 'outgas') return 'decay';
+        if (sim.surfaceMode !== 'schedule') return null;
+        const slow = sim.trapSlowdown, loss = sim.reactionRate;
+        return x => scheduledSurface(sim, x, slow, loss);
+    },
+    continuum(sim) {
+        const to = sim.domainMax;
+        if (sim.surfaceMode === 'outgas') return { ...medium(sim), from: 0, to, initial: () => 1, left: fixedAt(0), right: NO_FLUX };
+        const surface = sim.surfaceMode === 'schedule' ? sim.scenario.reservoir(sim) : 1;
+        return { ...medium(sim), from: 0, to, initial: () => 0, left: fixedAt(surface), right: NO_FLUX };
+    },
+    // The clamped film spreads as a half-Gaussian, ⟨x²⟩ = 2Dt (a few % short
+    // while √(Dt) is only a few λ: the clamp holds atoms back at x = 0)
+    momentFactor: sim => sim.surfaceMode === 'constant' ? 2 : null,
+    similarity: sim => sim.surfaceMode === 'constant' ? 0 : null, // C/C₀ = erfc(η/2)
+    analyticsLabel: sim => SURFACE_LABELS[sim.surfaceMode] + (sim.driftBias ? ' + drift' : ''),
+    decorations: () => [{ type: 'plane', x: 0 }],
+});
+
+registerScenario({
+    id: 2,
+    label: 'Planar Source in Infinite Medium',
+    subtitle: 'Fixed Atoms, Along X-axis',
+    title: 'Planar Source in Infinite Medium',
+    summary: 'An thin film of atoms at the origin spreads symmetrically through an infinite medium along the '
+        + 'Positive and Negative X-axis. <br> Scroll down for the analytical solution.',
+    color: 0x2ecc71,
+    centered: true,
+    domain: () => [-DOMAIN_LENGTH / 2, DOMAIN_LENGTH / 2],
+    normalization: () => 'density',
+    place: sim => sim.placeAtPlane(0),
+    boundary(sim) {
+        const [xMin, xMax] = sim.domain;
+        return x => x < xMin ? xMin : x > xMax ? xMax : x; // clamp at ±50 µm
+    },
+    // With drift the Gaussian is carried along unchanged: centre at ∫v dt
+    drift: () => true,
+    reaction: () => 'decay',
+    analytical: (sim, x, Dt) => thinFilm(x - sim.driftShift(0, sim.time), Dt, 1 / 2),
+    cdf(sim, x, Dt) {
+        x -= sim.driftShift(0, sim.time);
+        if (Dt < 1e-9) return x >= 0 ? 1 : 0;
+        return 0.5 * erfc(-x / (2 * Math.sqrt(Dt)));
+    },
+    continuum: sim => ({ ...medium(sim), from: sim.domainMin, to: sim.domainMax, initial: { film: 0 }, left: NO_FLUX, right: NO_FLUX }),
+    momentFactor: () => 2,
+    similarity: sim => sim.driftShift(0, sim.time),
+    analyticsLabel: sim => sim.driftBias ? 'Analytical shifted Gaussian' : 'Analytical Gaussian',
+    decorations: () => [{ type: 'plane', x: 0 }],
+});
+
+registerScenario({
+    id: 3,
+    label: 'Planar Source in Semi-Infinite Medium',
+    subtitle: 'Fixed Atoms, Along Positive X-axis',
+    title: 'Planar Source in Semi-Infinite Medium',
+    summary: 'A thin film of atoms diffuses into a semi-infinite body along the Positive X-axis. <br> '
+        + 'Scroll down for the analytical solution.',
+    color: 0x9b59b6,
+    centered: false,
+    domain: () => [0, DOMAIN_LENGTH],
+    normalization: () => 'density',
+    place: sim => sim.placeAtPlane(0),
+    boundary(sim) {
+        const xMax = sim.domainMax;
+        return x => {
+            if (x < 0) x = -x;        // reflecting wall
+            return x > xMax ? xMax : x; // clamp at 100 µm
+        };
+    },
+    // Drift against a reflecting wall (Smoluchowski): the drifted Gaussian
+    // plus an image term that keeps the flux vC − D∂C/∂x zero at x = 0.
+    // Drifting into the wall it settles to the barometric |k|·e^{kx}; that
+    // continuum limit needs D/|v| ≫ λ, i.e. |b| well below 1/6.
+    drift: () => true,
+    reaction: () => 'decay',
+    analytical(sim, x, Dt) {
+        const k = driftRatio(sim);
+        if (k === 0) return thinFilm(x, Dt, 1);
+        if (Dt < 1e-9 || x < 0) return 0;
+        const s = sim.driftShift(0, sim.time);
+        return thinFilm(x - s, Dt, 1) - k / 2 * expErfc(k * x, (x + s) / (2 * Math.sqrt(Dt)));
+    },
+    cdf(sim, x, Dt) {
+        if (Dt < 1e-9) return x >= 0 ? 1 : 0;
+        const k = driftRatio(sim);
+        if (k === 0) return Math.max(0, 1 - erfc(x / (2 * Math.sqrt(Dt))));
+        if (x <= 0) return 0;
+        const s = sim.driftShift(0, sim.time), w = 2 * Math.sqrt(Dt);
+        return Math.min(1, Math.max(0, 1 - 0.5 * erfc((x - s) / w) - 0.5 * expErfc(k * x, (x + s) / w)));
+    },
+    continuum: sim => ({ ...medium(sim), from: 0, to: sim.domainMax, initial: { film: 0 }, left: NO_FLUX, right: NO_FLUX }),
+    momentFactor: sim => sim.driftBias === 0 ? 2 : null,
+    similarity: sim => sim.driftBias === 0 ? 0 : null, // drift toward the wall sets a length D/v
+    analyticsLabel: sim => sim.driftBias ? 'Analytical drift + image' : 'Analytical Gaussian',
+    decorations: () => [{ type: 'plane', x: 0 }],
+});
+
+const FINITE_SLAB = registerScenario({
+    id: FINITE_SLAB_CASE,
+    label: 'Finite Slab',
+    subtitle: 'Thickness L, Reflecting or Absorbing Back Face',
+    title: 'Finite Slab',
+    summary: 'A slab of thickness L fed from a fixed-C₀ surface or a thin film at x = 0, with a reflecting '
+        + '(no-flux) or absorbing (C = 0) back face at x = L. <br> Scroll down for the analytical solution.',
+    color: 0x1abc9c,
+    params: {
+        slabThickness: 5,   // µm
+        frontFace: 'source', // 'source' (fixed C₀) | 'reflect' (thin film, no flux)
+        backFace: 'reflect', // 'reflect' (no flux) | 'absorb' (C = 0)
+    },
+    slab: sim => ({ L: sim.slabThickness, source: sim.frontFace === 'source', absorb: sim.backFace === 'absorb' }),
+    centered: false,
+    domain: sim => [0, slabOf(sim).L],
+    normalization: sim => slabOf(sim).source ? 'reservoir' : 'density',
+    reservoir: sim => slabOf(sim).source ? () => 1 : null,
+    place: sim => sim.placeAtPlane(0),
+    boundary(sim) {
+        // With a source face, x < 0 is the reservoir band and is rebuilt after the sub-step.
+        const { L: xMax, source: frontSource, absorb: backAbsorbs } = slabOf(sim);
+        return x => {
+            if (x < 0 && !frontSource) x = -x;
+            if (x >= xMax) {
+                if (backAbsorbs) return NaN;    // gone for good
+                x = Math.max(2 * xMax - x, 0); // reflecting back face
+            }
+            return x;
+        };
+    },
+    analytical(sim, x, Dt) {
+        const { L, source, absorb } = slabOf(sim);
+        return slabSolution(x, Dt, L, source, absorb);
+    },
+    permeation(sim) {
+        const { L, source, absorb } = slabOf(sim);
+        return source && absorb ? L : null;
+    },
+    // Only the thin film has homogeneous faces; a sink under the fixed C₀ face
+    // would need its own series.
+    reaction: sim => slabOf(sim).source ? null : 'decay',
+    continuum(sim) {
+        const { L, source, absorb } = slabOf(sim);
+        return {
+            ...medium(sim), from: 0, to: L,
+            initial: source ? () => 0 : { film: 0 },
+            left: source ? fixedAt(1) : NO_FLUX,
+            right: absorb ? fixedAt(0) : NO_FLUX,
+        };
+    },
+    analyticsLabel: () => 'Analytical Fourier series',
+    decorations(sim) {
+        // Tinted slab volume and the back face at x = L (steel blue when reflecting, red when absorbing)
+        const { L, absorb } = slabOf(sim);
+        return [
+            { type: 'plane', x: 0 },
+            { type: 'volume', from: 0, to: L, color: sim.scenario.color, opacity: 0.05 },
+            { type: 'face', x: L, color: absorb ? 0xe74c3c : 0x5d8aa8 },
+        ];
+    },
+});
+
+registerScenario({
+    id: DIFFUSION_COUPLE_CASE,
+    label: 'Diffusion Couple',
+    subtitle: 'Two Materials, Different D Across an Interface',
+    title: 'Diffusion Couple',
+    summary: 'Material 1 (blue, x &lt; x<sub>i</sub>) starts loaded at C₀ and material 2 (orange) starts empty. '
+        + 'Each side has its own Γ and λ, and the partition coefficient K sets the concentration jump at the '
+        + 'interface. <br> Scroll down for the analytical solution.',
+    color: 0xf1c40f,
+    // Region 1 (x < interfaceX) uses gamma/lambda, region 2 uses gamma2/lambda2;
+    // C₂/C₁ = partition at the interface.
+    params: {
+        interfaceX: 0,   // µm
+        gamma2: 5,       // Hz
+        lambda2: 0.5,    // µm
+        partition: 1,    // K
+    },
+    centered: true,
+    domain: () => [-COUPLE_HALF_LENGTH, COUPLE_HALF_LENGTH],
+    normalization: () => 'reservoir',
+    /** Atoms cross with flux ρΓλ/4 from each side, so detailed balance gives
+     *  C₂/C₁ = K when a12/a21 = K·Γ₂λ₂/(Γ₁λ₁); the larger of the two is 1.
+     *  Crossing steps are refracted in step() so this holds even when λ₁ ≠ λ₂. */
+    interface(sim) {
+        const q = sim.partition * sim.gamma2 * sim.lambda2 / (sim.gamma * sim.lambda);
+        const { a12, a21 } = q <= 1 ? { a12: q, a21: 1 } : { a12: 1, a21: 1 / q };
+        return { x: sim.interfaceX, gamma2: sim.gamma2, lambda2: sim.lambda2, a12, a21 };
+    },
+    // Region 1 uniformly at C₀ (ρ₀ atoms/µm), region 2 empty
+    place: sim => sim.placeUniform(-COUPLE_HALF_LENGTH, sim.interfaceX + COUPLE_HALF_LENGTH),
+    boundary(sim) {
+        const [xMin, xMax] = sim.domain;
+        return x => x < xMin ? 2 * xMin - x : x > xMax ? 2 * xMax - x : x; // sealed ends at ±25 µm
+    },
+    analytical(sim, x, Dt) {
+        // Semi-infinite composite (Crank §7.3): region 1 starts at C₀, region 2 empty
+        const xi = sim.interfaceX;
+        // Traps slow region 2 as well (Dt arrives already slowed)
+        const Dt2 = sim.D2 * sim.diffusionRatios.x * sim.time * sim.trapSlowdown;
+        if (Dt < 1e-9 || Dt2 < 1e-9) return x < xi ? 1 : 0;
+        const K = sim.partition;
+        // K√(D₂/D₁), written with Dt so Arrhenius runs use the integrated
+        // D₁ (exact for a hold; only approximate along a ramp, where the
+        // ratio D₂/D₁ changes with time).
+        const ks = K * Math.sqrt(Dt2 / Dt);
+        if (x < xi) return (1 + ks * (1 - erfc((xi - x) / (2 * Math.sqrt(Dt))))) / (1 + ks);
+        return K / (1 + ks) * erfc((x - xi) / (2 * Math.sqrt(Dt2)));
+    },
+    reaction: () => 'decay',
+    // Region 2 keeps its D₂ through a temperature program, as in step();
+    // the partition coefficient is its solubility relative to region 1.
+    continuum(sim) {
+        const xi = sim.interfaceX;
+        const D2 = sim.D2 * sim.diffusionRatios.x;
+        const scale = concentrationScale(sim);
+        return {
+            from: -COUPLE_HALF_LENGTH, to: COUPLE_HALF_LENGTH, breaks: [xi],
+            resolution: Math.min(sim.lambda, sim.lambda2),
+            D: (x, t, c) => (x < xi ? sim.diffusivityAt(t) : D2) * scale(c),
+            solubility: x => x < xi ? 1 : sim.partition,
+            initial: x => x < xi ? 1 : 0,
+            left: NO_FLUX, right: NO_FLUX,
+        };
+    },
+    similarity: sim => sim.interfaceX, // only approximate along a ramp, like the closed form
+    analyticsLabel: () => 'Analytical composite erfc',
+    decorations(sim) {
+        // The interface plane, and each material tinted across the visible window
+        const xi = sim.interfaceX;
+        return [
+            { type: 'plane', x: xi },
+            { type: 'volume', from: sim.visibleMin, to: xi, color: 0x3498db, opacity: 0.07 },
+            { type: 'volume', from: xi, to: sim.visibleMax, color: 0xe67e22, opacity: 0.07 },
+        ];
+    },
+});
+
+export const RADIAL_SOURCE_CASE = 6;
+
+registerScenario({
+    id: RADIAL_SOURCE_CASE,
+    label: 'Point & Line Sources',
+    subtitle: 'Radial Spread in 3D and 2D',
+    title: 'Point and Line Sources',
+    summary: 'All atoms start at a single point (spreading in 3D) or on a line along z (spreading in 2D). The plot '
+        + 'shows how far atoms are from the source, against the radial distribution of the Gaussian solution. '
+        + '<br> Scroll down for the analytical solution.',
+    color: 0xff7f50,
+    params: {
+        sourceShape: 'point', // 'point' (3D spread in r) | 'line' (along z, 2D spread in ρ)
+    },
+    centered: true,
+    domain: () => [-DOMAIN_LENGTH / 2, DOMAIN_LENGTH / 2],
+    normalization: () => 'density',
+    // Lateral walls would fold the radial spread back, so y (and z for a point) are unbounded.
+    // The line is infinite along z, which the periodic wrap models exactly.
+    periodic: sim => ({ y: false, z: sim.sourceShape === 'line' }),
+    // Distances are measured from the source carried along by the drift
+    // (x − ∫v dt), about which the radial distributions are unchanged.
+    drift: () => true,
+    // On an anisotropic lattice y and z are rescaled by √(Dₓ/Dᵢ), which turns
+    // the ellipsoidal spread back into the radial one with D = Dₓ.
+    profile(sim) {
+        const max = sim.visibleLength / 2;
+        const s = sim.driftShift(0, sim.time);
+        const r = sim.diffusionRatios;
+        if (r.y !== r.x || r.z !== r.x) {
+            const ky = r.x / r.y, kz = r.x / r.z;
+            return sim.sourceShape === 'line'
+                ? { axis: 'rho', label: 'Scaled distance from the line ρ̃ (µm)', min: 0, max, at: (x, y) => Math.sqrt((x - s) * (x - s) + ky * y * y) }
+                : { axis: 'r', label: 'Scaled distance from the point r̃ (µm)', min: 0, max, at: (x, y, z) => Math.sqrt((x - s) * (x - s) + ky * y * y + kz * z * z) };
+        }
+        return sim.sourceShape === 'line'
+            ? { axis: 'rho', label: 'Distance from the line ρ (µm)', min: 0, max, at: (x, y) => Math.sqrt((x - s) * (x - s) + y * y) }
+            : { axis: 'r', label: 'Distance from the point r (µm)', min: 0, max, at: (x, y, z) => Math.sqrt((x - s) * (x - s) + y * y + z * z) };
+    },
+    place(sim) {
+        sim.numAtoms = sim.loadedAtoms;
+        sim.scenario.fill(sim, 0, sim.numAtoms);
+    },
+    fill(sim, from, to) {
+        if (sim.sourceShape === 'line') sim.fillLine(from, to, 0);
+        else sim.fillPoint(from, to, 0);
+    },
+    boundary(sim) {
+        const [xMin, xMax] = sim.domain;
+        return x => x < xMin ? xMin : x > xMax ? xMax : x; // clamp at ±50 µm
+    },
+    // Radial distributions: P(r) = 4πr²·C/M with C = M(4πDt)^(−3/2)·exp(−r²/4Dt),
+    // and P(ρ) = 2πρ·C/M′ with C = M′(4πDt)^(−1)·exp(−ρ²/4Dt) per unit length of line
+    analytical(sim, r, Dt) {
+        if (Dt < 1e-9 || r < 0) return 0;
+        const g = Math.exp(-(r * r) / (4 * Dt));
+        if (sim.sourceShape === 'line') return r / (2 * Dt) * g;
+        return r * r / (2 * Math.sqrt(Math.PI) * Dt ** 1.5) * g;
+    },
+    cdf(sim, r, Dt) {
+        if (Dt < 1e-9) return r >= 0 ? 1 : 0;
+        if (r <= 0) return 0;
+        const u = r / (2 * Math.sqrt(Dt));
+        if (sim.sourceShape === 'line') return 1 - Math.exp(-u * u);
+        return Math.max(0, 1 - erfc(u) - 2 * u / Math.sqrt(Math.PI) * Math.exp(-u * u));
+    },
+    // Radial diffusion about the (drifting) source, with D = Dₓ in the scaled distance
+    continuum: sim => ({
+        geometry: sim.sourceShape === 'line' ? 'cylindrical' : 'spherical',
+        from: 0, to: DOMAIN_LENGTH / 2, D: (r, t) => sim.diffusivityAt(t),
+        initial: { film: 0 }, left: NO_FLUX, right: NO_FLUX,
+    }),
+    reaction: () => 'decay',
+    momentFactor: sim => sim.sourceShape === 'line' ? 4 : 6, // ⟨ρ²⟩ = 4Dt, ⟨r²⟩ = 6Dt
+    similarity: () => 0, // r is already measured from the drifting source
+    analyticsLabel: sim => sim.sourceShape === 'line' ? 'Analytical 2D radial Gaussian' : 'Analytical 3D radial Gaussian',
+    decorations: sim => [{ type: sim.sourceShape === 'line' ? 'line' : 'point', x: 0 }],
+});
+
+export const MEMBRANE_CASE = 7;
+
+// The finite slab with its faces fixed as a source and a sink: every atom
+// reaching x = L counts as permeated (see permeation)
+registerScenario({
+    ...FINITE_SLAB,
+    id: MEMBRANE_CASE,
+    label: 'Membrane Permeation',
+    subtitle: 'Source at x = 0, Sink at x = L',
+    title: 'Permeation Through a Membrane',
+    summary: 'A membrane of thickness L starts empty between a fixed-C₀ source at x = 0 and a perfect sink at '
+        + 'x = L. The atoms leaving through x = L build up the permeated amount Q(t), whose straight late-time '
+        + 'line cuts the time axis at the time lag L²/6D. <br> Scroll down for the analytical solution.',
+    color: 0x48dbfb,
+    params: {
+        membraneThickness: 5, // µm
+    },
+    slab: sim => ({ L: sim.membraneThickness, source: true, absorb: true }),
+});
@@ -0,0 +1,100 @@
+import { MAX_ATOMS, MAX_ATOMS_IN_THREAD } from './simulation.js';
+
+const MAX_PENDING_DT = 0.5; // s of wall time folded into one worker step (e.g. after a hidden tab)
+
+// ────────────────────── SIM RUNNER ──────────────────────
+// Drives a DiffusionSim either from a Web Worker (sim-worker.js) or, if that
+// is unavailable, in-thread exactly as before. `sim` stays the object the
+// renderers read: in worker mode it is a mirror whose atom, id and trap
+// buffers are swapped for the worker's result once per frame. The mirror's origins and
+// displacements go stale; the worker sends the MSD computed from them instead.
+export class SimRunner {
+    /** @param {DiffusionSim} sim */
+    constructor(sim) {
+        this.sim = sim;
+        this.onModeChange = null; // called after falling back to in-thread stepping
+        this.worker = null;
+        this.busy = false;
+        this.pendingDt = 0;
+        this.generation = 0;
+        this.spare = new Float32Array(MAX_ATOMS * 3);
+        this.spareIds = new Uint32Array(MAX_ATOMS);
+        this.spareTrapped = new Uint8Array(MAX_ATOMS);
+        try {
+            this.worker = new Worker(new URL('./sim-worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = e => this.onFrame(e.data);
+            this.worker.onerror = e => { e.preventDefault(); this.fallback(); };
+            this.worker.postMessage({ type: 'init', snapshot: sim.snapshot() });
+        } catch {
+            this.worker = null;
+        }
+    }
+
+    get usingWorker() { return this.worker !== null; }
+    get maxAtoms() { return this.usingWorker ? MAX_ATOMS : MAX_ATOMS_IN_THREAD; }
+
+    /** Invoke a state-changing DiffusionSim method on the mirror and the worker. */
+    call(method, ...args) {
+        this.sim[method](...args);
+        if (!this.worker) return;
+        this.generation++;
+        this.pendingDt = 0;
+        this.worker.postMessage({ type: 'call', method, args });
+    }
+
+    /** Advance by `dt` seconds of wall time. */
+    advance(dt) {
+        const sim = this.sim;
+        if (!sim.running) return;
+        if (!this.worker) {
+            sim.step(Math.min(dt, 0.05));
+            return;
+        }
+        this.pendingDt = Math.min(this.pendingDt + dt, MAX_PENDING_DT);
+        if (this.busy) return;
+        const buffer = this.spare, idBuffer = this.spareIds, trapBuffer = this.spareTrapped;
+        this.spare = this.spareIds = this.spareTrapped = null;
+        this.busy = true;
+        this.worker.postMessage({
+            type: 'step',
+            generation: this.generation,
+            dt: this.pendingDt,
+            params: sim.getParams(),
+            buffer,
+            idBuffer,
+            trapBuffer,
+        }, [buffer.buffer, idBuffer.buffer, trapBuffer.buffer]);
+        this.pendingDt = 0;
+    }
+
+    onFrame(msg) {
+        this.busy = false;
+        if (msg.generation !== this.generation) {
+            // Result predates a reset/case switch — reclaim the buffer, drop the data.
+            this.spare = msg.buffer;
+            this.spareIds = msg.idBuffer;
+            this.spareTrapped = msg.trapBuffer;
+            return;
+        }
+        this.spare = this.sim.atoms;
+        this.spareIds = this.sim.ids;
+        this.spareTrapped = this.sim.trapped;
+        this.sim.atoms = msg.buffer;
+        this.sim.ids = msg.idBuffer;
+        this.sim.trapped = msg.trapBuffer;
+        Object.assign(this.sim, msg.state);
+    }
+
+    /** Worker failed to load or crashed: keep going on the main thread. */
+    fallback() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.busy = false;
+        if (this.spare === null) this.spare = new Float32Array(MAX_ATOMS * 3);
+        if (this.spareIds === null) this.spareIds = new Uint32Array(MAX_ATOMS);
+        if (this.spareTrapped === null) this.spareTrapped = new Uint8Array(MAX_ATOMS);
+        if (this.sim.numAtoms > MAX_ATOMS_IN_THREAD) this.sim.setNumAtoms(MAX_ATOMS_IN_THREAD);
+        if (this.onModeChange) this.onModeChange();
+    }
+}
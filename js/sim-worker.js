@@ -0,0 +1,43 @@
+// Module worker that owns the authoritative DiffusionSim while the page is
+// driven by SimRunner (sim-runner.js). The main thread keeps a mirror for
+// rendering; each 'step' hands back the atom positions, ids and trap flags in
+// transferred buffers, plus the scalar state (including the MSD) the page displays.
+import { DiffusionSim } from './simulation.js';
+
+let sim = new DiffusionSim();
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            // The snapshot carries the generator state, so a seeded page stays seeded here.
+            sim = new DiffusionSim();
+            sim.restore(data.snapshot);
+            break;
+        case 'call':
+            sim[data.method](...data.args);
+            break;
+        case 'step': {
+            sim.setParams(data.params);
+            sim.running = true;
+            sim.step(data.dt);
+            const { buffer, idBuffer, trapBuffer } = data;
+            buffer.set(sim.atoms.subarray(0, sim.numAtoms * 3));
+            idBuffer.set(sim.ids.subarray(0, sim.numAtoms));
+            trapBuffer.set(sim.trapped.subarray(0, sim.numAtoms));
+            self.postMessage({
+                type: 'frame',
+                generation: data.generation,
+                buffer,
+                idBuffer,
+                trapBuffer,
+                // Γ follows the temperature program in Arrhenius mode, so the
+                // readouts of Γ and D take it from here
+                state: {
+                    time: sim.time, numAtoms: sim.numAtoms, absorbed: sim.absorbed, reacted: sim.reacted,
+                    planeCrossings: sim.planeCrossings, msd: sim.msd, gamma: sim.gamma,
+                },
+            }, [buffer.buffer, idBuffer.buffer, trapBuffer.buffer]);
+            break;
+        }
+    }
+};
@@ -1,130 +1,1176 @@
+import { getScenario, listScenarios } from './scenarios.js';
+
 // ── Math utilities ──
+/** erfc(x)·exp(x²) for x ≥ 0 (Abramowitz & Stegun 7.1.26). */
+function erfcScaled(ax) {
+    const t = 1 / (1 + 0.3275911 * ax);
+    return t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+}
+
 export function erfc(x) {
     const ax = Math.abs(x);
-    const t = 1 / (1 + 0.3275911 * ax);
-    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
-    const r = poly * Math.exp(-ax * ax);
+    const r = erfcScaled(ax) * Math.exp(-ax * ax);
     return x >= 0 ? r : 2 - r;
 }
 
+/** exp(a)·erfc(x) without overflow when a and x are both large — the
+ *  image term of the advection–diffusion solutions. */
+export function expErfc(a, x) {
+    if (x < 0) return Math.exp(a) * erfc(x);
+    return erfcScaled(x) * Math.exp(a - x * x);
+}
+
+/** C/C₀ below a surface held at C₀ since Dt = 0: erfc(x / 2√(Dt)). */
+export function surfaceStep(x, Dt) {
+    if (Dt < 1e-9) return x < 0.01 ? 1 : 0;
+    return erfc(x / (2 * Math.sqrt(Dt)));
+}
+
+/** Fourier-series solutions on a slab 0 ≤ x ≤ L (Crank, ch. 4).
+ *  source: front face held at C₀ (returns C/C₀), else a unit thin film at x = 0
+ *  with no flux (returns density). absorb: back face at C = 0, else no flux.
+ *  While √(Dt) ≪ L the back face has not been felt yet and the series would
+ *  need thousands of terms, so the semi-infinite solution is used instead. */
+export function slabSolution(x, Dt, L, source, absorb) {
+    if (x < 0 || x > L) return 0;
+    if (Math.sqrt(Dt) < L / 20) {
+        if (source) return surfaceStep(x, Dt);
+        if (Dt < 1e-9) return 0;
+        return Math.exp(-(x * x) / (4 * Dt)) / Math.sqrt(Math.PI * Dt);
+    }
+    // Mixed faces (one fixed, one no-flux) have odd quarter-wave modes (2m+1)π/2L,
+    // matching faces have half-wave modes mπ/L.
+    const mixed = source !== absorb;
+    let sum = 0;
+    for (let m = mixed ? 0 : 1; m < 5000; m++) {
+        const k = (mixed ? (2 * m + 1) / 2 : m) * Math.PI / L;
+        const decay = Math.exp(-k * k * Dt);
+        if (decay < 1e-12) break;
+        sum += source
+            ? (2 / (k * L)) * Math.sin(k * x) * decay // C(0) = C₀: sine modes
+            : 2 * Math.cos(k * x) * decay;            // no-flux front: cosine modes
+    }
+    if (source) return absorb ? 1 - x / L - sum : 1 - sum;
+    return absorb ? sum / L : (1 + sum) / L;
+}
+
+/** Permeation through a membrane 0 ≤ x ≤ L with C₀ at x = 0 and C = 0 at
+ *  x = L, starting empty (Daynes 1920, Barrer 1939). Returns the amount that
+ *  has left through x = L, Q/C₀ (µm), and its rate per unit Dt, so the flux is
+ *  J/C₀ = D·rate (µm/s). Late times use the Fourier series, whose Q tends to
+ *  Dt/L − L/6 (the time lag L²/6D); early times, where it converges slowly,
+ *  sum the images at (2m + 1)L instead. */
+export function daynesBarrer(Dt, L) {
+    if (Dt < 1e-12) return { Q: 0, rate: 0 };
+    let Q = 0, rate = 0;
+    if (Dt < 0.1 * L * L) {
+        const s = Math.sqrt(Dt);
+        for (let m = 0; m < 50; m++) {
+            const a = (2 * m + 1) * L;
+            const g = Math.exp(-(a * a) / (4 * Dt));
+            if (g < 1e-300) break;
+            Q += 4 * s / Math.sqrt(Math.PI) * g - 2 * a * erfc(a / (2 * s));
+            rate += 2 / Math.sqrt(Math.PI * Dt) * g;
+        }
+        return { Q, rate };
+    }
+    Q = Dt / L - L / 6;
+    rate = 1 / L;
+    for (let n = 1; n < 5000; n++) {
+        const decay = Math.exp(-n * n * Math.PI * Math.PI * Dt / (L * L));
+        if (decay < 1e-12) break;
+        const sign = n % 2 ? -1 : 1;
+        Q -= 2 * L / (Math.PI * Math.PI) * sign / (n * n) * decay;
+        rate += 2 / L * sign * decay;
+    }
+    return { Q, rate };
+}
+
+// ── Random number generators ──
+/** Seeded PRNG (mulberry32). Its whole state is one 32-bit integer, so it
+ *  can be saved in a snapshot and restored to continue the same stream. */
+export class SeededRandom {
+    constructor(seed = 1) { this.state = seed >>> 0; }
+
+    random() {
+        let t = (this.state = (this.state + 0x6D2B79F5) >>> 0);
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    getState() { return this.state; }
+    setState(s) { this.state = s >>> 0; }
+}
+
+/** Unseeded default backed by Math.random() — its state cannot be saved. */
+export const MathRandom = {
+    random: () => Math.random(),
+    getState() { return null; },
+    setState() { },
+};
+
 // ── Constants ──
 export const DOMAIN_LENGTH = 100; // µm — full simulation domain (10× visible)
 export const VISIBLE_LENGTH = 10;  // µm — shown in viewport & plot
 export const DOMAIN_WIDTH = 4;   // µm
-export const NUM_BINS = 40;
-export const MAX_ATOMS = 5000;
+export const NUM_BINS = 40;     // default profile bins
+export const MAX_BINS = 400;
+export const MAX_ATOMS = 100000;         // buffer capacity (worker-driven runs)
+export const MAX_ATOMS_IN_THREAD = 5000; // cap when step() runs on the main thread
+export const BOLTZMANN_EV = 8.617333e-5; // eV/K
+
+// ── Crystal lattices ──
+/** Integer vectors in {−1, 0, 1}³ with `nonZero` non-zero components: the
+ *  nearest-neighbour directions of sc (1), fcc (2) and bcc (3). */
+function neighborVectors(nonZero) {
+    const out = [];
+    for (let i = -1; i <= 1; i++) for (let j = -1; j <= 1; j++) for (let k = -1; k <= 1; k++) {
+        if ((i !== 0) + (j !== 0) + (k !== 0) === nonZero) out.push([i, j, k]);
+    }
+    return out;
+}
+
+/** Cubic lattices for the lattice walk. `neighbors` are integer jump
+ *  directions of equal length; λ is the nearest-neighbour distance, so the
+ *  cubic cell edge is a = cell·λ and `basis` lists the sites of one cell in units of a. */
+export const LATTICES = {
+    sc: { label: 'Simple cubic', cell: 1, basis: [[0, 0, 0]], neighbors: neighborVectors(1) },
+    bcc: { label: 'Body-centred cubic', cell: 2 / Math.sqrt(3), basis: [[0, 0, 0], [0.5, 0.5, 0.5]], neighbors: neighborVectors(3) },
+    fcc: {
+        label: 'Face-centred cubic', cell: Math.SQRT2,
+        basis: [[0, 0, 0], [0.5, 0.5, 0], [0.5, 0, 0.5], [0, 0.5, 0.5]], neighbors: neighborVectors(2),
+    },
+};
+
+/** Parse a surface-concentration schedule such as "0:1, 20:0" — pairs of
+ *  time (s) : C/C₀ — into sorted steps [{t, c}]. Throws on malformed input. */
+export function parseSurfaceSchedule(text) {
+    const steps = text.split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+        const parts = pair.split(':');
+        const t = Number(parts[0]), c = Number(parts[1]);
+        if (parts.length !== 2 || !Number.isFinite(t) || !Number.isFinite(c)) throw new Error(`Bad schedule step "${pair}" (expected time:C/C₀)`);
+        if (t < 0) throw new Error(`Schedule time must be ≥ 0, got ${t}`);
+        if (c < 0 || c > 1) throw new Error(`Schedule C/C₀ must be between 0 and 1, got ${c}`);
+        return { t, c };
+    });
+    if (steps.length === 0) throw new Error('Schedule is empty');
+    return steps.sort((a, b) => a.t - b.t);
+}
+
+/** Parse a temperature program such as "0:950, 20:1050, 40:1050" — pairs of
+ *  time (s) : T (K) — into sorted points [{t, T}]. T ramps linearly between
+ *  points (equal temperatures make a hold) and stays at the last value.
+ *  Throws on malformed input. */
+export function parseTemperatureProgram(text) {
+    const points = text.split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+        const parts = pair.split(':');
+        const t = Number(parts[0]), T = Number(parts[1]);
+        if (parts.length !== 2 || !Number.isFinite(t) || !Number.isFinite(T)) throw new Error(`Bad program point "${pair}" (expected time:T)`);
+        if (t < 0) throw new Error(`Program time must be ≥ 0, got ${t}`);
+        if (T <= 0) throw new Error(`Temperature must be > 0 K, got ${T}`);
+        return { t, T };
+    });
+    if (points.length === 0) throw new Error('Temperature program is empty');
+    return points.sort((a, b) => a.t - b.t);
+}
+
+// ── Concentration-dependent diffusivity ──
+/** Forms of D(C) = D·f(c), c = C/C₀, with strength β. `constant` is the
+ *  plain walk; `custom` compiles diffusivityExpression. */
+export const DIFFUSIVITY_FORMS = {
+    constant: { label: 'Constant', factor: () => () => 1 },
+    linear: { label: 'Linear 1 + βc', factor: beta => c => 1 + beta * c },
+    exponential: { label: 'Exponential e^(βc)', factor: beta => c => Math.exp(beta * c) },
+    custom: { label: 'Custom f(c)', factor: null },
+};
+
+/** Width (µm) of the x bins the local concentration is counted in. */
+export const CONCENTRATION_BIN = 0.5;
+
+const EXPRESSION_NAMES = new Set(['exp', 'log', 'sqrt', 'abs', 'pow', 'min', 'max', 'tanh', 'sinh', 'cosh', 'PI', 'E']);
+
+/** Compile an arithmetic expression in the given variable names to a
+ *  function of them, in that order: numbers, the variables, + − * / ^ ( ) ,
+ *  and the Math functions above (write −(c^2), not −c^2). Throws on anything else. */
+export function compileExpression(text, variables) {
+    if (!text.trim()) throw new Error('Expression is empty');
+    if (!/^[\w\s.+\-*/^(),]*$/.test(text)) throw new Error(`Unexpected character in "${text}"`);
+    const body = text.replace(/(\d*\.?\d+(?:e[+-]?\d+)?)|([A-Za-z_]\w*)/gi, (token, number, name) => {
+        if (number !== undefined || variables.includes(name)) return token;
+        if (!EXPRESSION_NAMES.has(name)) throw new Error(`Unknown name "${name}" (use ${variables.join(', ')} and exp, log, sqrt, pow, …)`);
+        return `Math.${name}`;
+    }).replace(/\^/g, '**');
+    try {
+        const f = new Function(...variables, `return (${body});`);
+        f(...variables.map(() => 0));
+        return f;
+    } catch {
+        throw new Error(`Cannot parse "${text}"`);
+    }
+}
+
+/** Compile f(c) from an expression in c such as "1 + 4*c^2" or "exp(2*c)"
+ *  (see compileExpression()). Throws unless f stays finite and > 0 for
+ *  0 ≤ c ≤ 1. */
+export function parseDiffusivityExpression(text) {
+    const f = compileExpression(text, ['c']);
+    for (let i = 0; i <= 20; i++) {
+        const v = f(i / 20);
+        if (!Number.isFinite(v) || v <= 0) throw new Error(`f(${i / 20}) = ${v}; it must be positive for 0 ≤ c ≤ 1`);
+    }
+    return f;
+}
+
+// ── Traps ──
+export const TRAP_CELL = 0.5; // µm — edge of the cubic cells a trap site occupies
+
+/** Uniform value in [0, 1) fixed by integer cell indices (a murmur-style mix). */
+function cellHash(i, j, k) {
+    let h = Math.imul(i, 0x27d4eb2d) ^ Math.imul(j, 0x165667b1) ^ Math.imul(k, 0x1b873593);
+    h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+    h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+    return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+/** Add a move from x0 to x1 to the net crossing count of each plane. */
+function countCrossings(planes, counts, x0, x1) {
+    for (let k = 0; k < planes.length; k++) {
+        const p = planes[k];
+        if ((x0 < p) !== (x1 < p)) counts[k] += x1 > x0 ? 1 : -1;
+    }
+}
+
+/** Invert the CDF of the tilted direction density (1 + 3b·μ)/2 on
+ *  [−1, 1] at u ∈ [0, 1): the root of (3b/4)μ² + μ/2 + (1/2 − 3b/4 − u) = 0,
+ *  written so it reduces to 2u − 1 as b → 0. */
+function tiltedCosine(u, b) {
+    const c = 0.5 - 0.75 * b - u;
+    return -2 * c / (0.5 + Math.sqrt(0.25 - 3 * b * c));
+}
 
 // ── Simulation engine ──
 export class DiffusionSim {
-    constructor() {
+    /** @param {{seed?: number, rng?: {random(): number, getState(): any, setState(s: any): void}}} [options]
+     *  Pass `seed` for a reproducible run, or `rng` to plug in another generator.
+     *  Without either, Math.random() is used as before. */
+    constructor(options = {}) {
+        this.rng = options.rng ?? (options.seed !== undefined ? new SeededRandom(options.seed) : MathRandom);
         this.caseNum = 1;
         this.gamma = 20;      // Hz
         this.lambda = 0.50;    // µm
-        this.numAtoms = 2000;
+        this.numAtoms = 2000;  // live atoms in the buffer
+        this.loadedAtoms = 2000; // atoms placed at reset (the M or C₀ normalization)
+        this.absorbed = 0;     // atoms taken out at an absorbing face since reset
+        // Case-specific parameters (surface mode, slab faces, couple interface…)
+        // come from the scenario registry, each with its default.
+        for (const scenario of listScenarios()) Object.assign(this, structuredClone(scenario.params ?? {}));
+        // Arrhenius mode: Γ = ν₀·exp(−Q/kT) follows the temperature program
+        // during step() instead of the Γ slider (region 1 only in Case 5).
+        this.temperatureMode = 'direct'; // 'direct' (Γ set by hand) | 'arrhenius'
+        this.nu0 = 1e13;                 // Hz — attempt frequency ν₀
+        this.activationEnergy = 2.3;     // eV — Q
+        this.temperatureProgram = [{ t: 0, T: 1000 }]; // K
+        // Drift: jump directions are tilted toward +x (bias > 0) or −x so the
+        // mean x-step is bλ, giving a drift velocity v = bΓλ (see step()).
+        this.bias = 0; // b ∈ [−1/3, 1/3]; only scenarios with `drift` apply it
+        // Lattice walk: atoms sit on lattice sites and jump to nearest
+        // neighbours; a jump's frequency is scaled by the anisotropy factors
+        // weighted by its squared direction cosines, which makes D a tensor.
+        this.walkMode = 'continuous'; // 'continuous' (random unit vectors) | 'lattice'
+        this.lattice = 'sc';          // key of LATTICES
+        this.anisotropy = { x: 1, y: 1, z: 1 }; // relative jump frequency along each axis
+        this.jumpTable = null; // latticeJumps() cache
+        // Concentration-dependent D: a jump is accepted with probability
+        // f(c)/f_max, c read from the binned atom density at the jump's
+        // midpoint, so that D(C) = D·f(C/C₀) (see step()).
+        this.diffusivityForm = 'constant'; // key of DIFFUSIVITY_FORMS
+        this.diffusivityStrength = 2;      // β
+        this.diffusivityExpression = '1 + 4*c^2'; // f(c) of the custom form
+        this.factorCache = null; // concentrationFactor cache
+        // Reactions: a mobile atom is consumed with probability k·Δt per
+        // sub-step, and in a trap cell it is captured at `trapCapture`; a
+        // trapped atom stays put until it is released at `trapRelease`.
+        this.reactionRate = 0;  // 1/s — first-order sink k
+        this.trapFraction = 0;  // share of TRAP_CELL cells that hold a trap site
+        this.trapCapture = 5;   // Hz — capture rate inside a trap cell
+        this.trapRelease = 1;   // Hz — release rate of a trapped atom
+        this.reacted = 0;       // atoms consumed by the sink since reset
+        // Net crossings (+x minus −x) of the planes x = fluxPlanes[k] since reset
+        this.fluxPlanes = [];
+        this.planeCrossings = [];
+        // What the 1D profile and the 3D box show; neither affects the walk
+        this.numBins = NUM_BINS;
+        this.viewWindow = null; // [min, max] µm, or null for the case's own VISIBLE_LENGTH window
         this.time = 0;       // s
+        this.runId = 0;      // bumped by reset() and restore(), so observers can tell a new run from a continued one
         this.running = false;
         this.speed = 1.0;
         this.atoms = new Float32Array(MAX_ATOMS * 3);
+        // Per-atom history, kept in step with `atoms` through every swap-remove:
+        // where each atom started (NaN = joined after t = 0, not tracked), its
+        // displacement since then with the periodic y/z wrap undone, and a
+        // stable id so a single atom can be followed while the buffer reorders.
+        this.origins = new Float32Array(MAX_ATOMS * 3);
+        this.displacements = new Float32Array(MAX_ATOMS * 3);
+        this.ids = new Uint32Array(MAX_ATOMS);
+        this.trapped = new Uint8Array(MAX_ATOMS); // 1 while the atom sits in a trap
+        this.nextId = 0;
+        this.msd = { x: 0, y: 0, z: 0, r: 0, tracked: 0 }; // see meanSquaredDisplacement()
         this.reset();
     }
 
     get D() { return this.gamma * this.lambda * this.lambda / 6; }
-    get domainMin() { return this.caseNum === 2 ? -DOMAIN_LENGTH / 2 : 0; }
-    get domainMax() { return this.caseNum === 2 ? DOMAIN_LENGTH / 2 : DOMAIN_LENGTH; }
-    get visibleMin() { return this.caseNum === 2 ? -VISIBLE_LENGTH / 2 : 0; }
-    get visibleMax() { return this.caseNum === 2 ? VISIBLE_LENGTH / 2 : VISIBLE_LENGTH; }
 
-    setCase(n) { this.caseNum = n; this.reset(); }
+    /** D along each axis: Γλ²/6 scaled by diffusionRatios. */
+    get diffusivity() {
+        const r = this.diffusionRatios, D = this.D;
+        return { x: D * r.x, y: D * r.y, z: D * r.z };
+    }
+
+    /** Dᵢ/(Γλ²/6) per axis: 1 for the continuous walk and any unweighted lattice. */
+    get diffusionRatios() {
+        return this.walkMode === 'lattice' ? this.latticeJumps().ratios : { x: 1, y: 1, z: 1 };
+    }
+
+    /** Jump table of the lattice walk, rebuilt when the lattice or the
+     *  anisotropy changes. Neighbour k (unit vector êₖ) is chosen with weight
+     *  wₖ = Σᵢ aᵢ·êₖᵢ² and the jump frequency becomes Γ·w̄, so
+     *  Dᵢ = ½ Σₖ (Γwₖ/z)·λ²êₖᵢ² = Γλ²/6 · 3Σₖ wₖêₖᵢ²/z. */
+    latticeJumps() {
+        const a = this.anisotropy;
+        const key = `${this.lattice}:${a.x}:${a.y}:${a.z}`;
+        if (this.jumpTable?.key === key) return this.jumpTable;
+        const { neighbors } = LATTICES[this.lattice];
+        const z = neighbors.length;
+        const len2 = neighbors[0].reduce((s, v) => s + v * v, 0);
+        const dirs = new Float64Array(z * 3);
+        const cum = new Float64Array(z);
+        const sums = [0, 0, 0];
+        let total = 0;
+        neighbors.forEach((e, k) => {
+            const w = (a.x * e[0] * e[0] + a.y * e[1] * e[1] + a.z * e[2] * e[2]) / len2;
+            for (let i = 0; i < 3; i++) {
+                dirs[k * 3 + i] = e[i] / Math.sqrt(len2);
+                sums[i] += w * e[i] * e[i];
+            }
+            total += w;
+            cum[k] = total;
+        });
+        for (let k = 0; k < z; k++) cum[k] /= total;
+        const ratio = i => 3 * sums[i] / (z * len2);
+        this.jumpTable = { key, dirs, cum, rate: total / z, ratios: { x: ratio(0), y: ratio(1), z: ratio(2) } };
+        return this.jumpTable;
+    }
+    /** Region-2 diffusivity of the Case 5 couple. */
+    get D2() { return this.gamma2 * this.lambda2 * this.lambda2 / 6; }
+    /** The active case's definition (see scenarios.js). */
+    get scenario() { return getScenario(this.caseNum); }
+    /** [min, max] x range atoms live in. */
+    get domain() { return this.scenario.domain(this); }
+    get domainMin() { return this.domain[0]; }
+    get domainMax() { return this.domain[1]; }
+    get centered() { return this.scenario.centered; }
+    /** The x window shown in the 3D box and binned by the profile. The
+     *  first-bin normalization reads C₀ off the bin at the clamped surface,
+     *  so there a chosen window keeps its length but starts at the surface. */
+    get visibleMin() {
+        if (!this.viewWindow) return this.centered ? -VISIBLE_LENGTH / 2 : 0;
+        return this.profileNormalization === 'firstBin' ? this.domainMin : this.viewWindow[0];
+    }
+    get visibleMax() { return this.visibleMin + this.visibleLength; }
+    get visibleLength() { return this.viewWindow ? this.viewWindow[1] - this.viewWindow[0] : VISIBLE_LENGTH; }
+
+    /** What the 1D profile is binned and plotted against: {axis, label, min,
+     *  max, at(x, y, z), cell?}. Position x over the visible window unless the
+     *  scenario bins by a distance from a point or line source. `cell` > 0
+     *  means the coordinate only takes values `cell` apart (lattice planes). */
+    get profile() {
+        return this.scenario.profile?.(this)
+            ?? { axis: 'x', label: 'Position x (µm)', min: this.visibleMin, max: this.visibleMax, at: x => x, cell: this.planeSpacing };
+    }
+
+    /** Distance between lattice planes normal to x (0 for the continuous walk). */
+    get planeSpacing() {
+        if (this.walkMode !== 'lattice') return 0;
+        const { cell, basis } = LATTICES[this.lattice];
+        return cell * this.lambda / new Set(basis.map(b => b[0])).size;
+    }
+
+    /** Whether y and z wrap around DOMAIN_WIDTH (true for every planar case). */
+    get periodic() { return this.scenario.periodic?.(this) ?? { y: true, z: true }; }
+
+    /** True when the profile is C/C₀ relative to a surface or initial
+     *  concentration rather than a density of a fixed mass M. */
+    get surfaceNormalized() { return this.profileNormalization !== 'density'; }
+
+    /** How histogram counts become plotted values:
+     *  'firstBin'  — legacy Case 1: C/C₀ ≈ count / first-bin count
+     *  'reservoir' — C/C₀ = count / (ρ₀ · bin width)
+     *  'density'   — count / (loadedAtoms · bin width) */
+    get profileNormalization() { return this.scenario.normalization(this); }
+
+    /** True when x = 0 is a fixed-C₀ face modelled by a reservoir band (see refillReservoir). */
+    get usesReservoir() { return this.scenario.reservoir?.(this) != null; }
+
+    /** Reservoir concentration C_s/C₀ at time t (1 for a constant source). */
+    surfaceLevel(t) {
+        const level = this.scenario.reservoir?.(this);
+        return level ? level(t) : 1;
+    }
+
+    /** The bias step() applies: 0 in cases without an advection–diffusion
+     *  solution, on a lattice, whose jumps are not tilted, and with D(C). */
+    get driftBias() {
+        return this.walkMode === 'continuous' && !this.concentrationDependent && this.scenario.drift?.(this) ? this.bias : 0;
+    }
+
+    /** True when step() applies D(C): a non-constant form in a case whose
+     *  profile is C/C₀ on the reservoir scale, so c is a concentration. */
+    get concentrationDependent() {
+        return this.diffusivityForm !== 'constant' && this.profileNormalization === 'reservoir';
+    }
+
+    /** True when the traps are switched on. */
+    get trapping() { return this.trapFraction > 0 && this.trapCapture > 0; }
+
+    /** True when atoms can be consumed or trapped. */
+    get reactive() { return this.reactionRate > 0 || this.trapping; }
+
+    /** K = trapped/mobile in local equilibrium: κ/ν with the mean capture
+     *  rate κ = trapCapture·trapFraction (0 without traps). */
+    get trapRatio() { return this.trapping ? this.trapCapture * this.trapFraction / this.trapRelease : 0; }
+
+    /** 1/(1 + K): the share of time an atom is mobile once capture and
+     *  release balance, which scales D, v and k of the trapped medium. */
+    get trapSlowdown() { return 1 / (1 + this.trapRatio); }
+
+    /** Rates of the continuum reaction terms (k, κ, ν), or null without reactions. */
+    get kinetics() {
+        if (!this.reactive) return null;
+        return {
+            loss: this.reactionRate,
+            capture: this.trapping ? this.trapCapture * this.trapFraction : 0,
+            release: this.trapRelease,
+        };
+    }
+
+    /** Whether (x, y, z) lies in a trap cell. Cells are TRAP_CELL cubes; each
+     *  holds a trap when a fixed hash of its indices falls below trapFraction,
+     *  so raising the fraction only adds sites. y and z repeat every DOMAIN_WIDTH. */
+    isTrapSite(x, y, z) {
+        const m = Math.round(DOMAIN_WIDTH / TRAP_CELL);
+        const j = ((Math.floor(y / TRAP_CELL) % m) + m) % m;
+        const k = ((Math.floor(z / TRAP_CELL) % m) + m) % m;
+        return cellHash(Math.floor(x / TRAP_CELL), j, k) < this.trapFraction;
+    }
+
+    /** Centres of the trap cells with from ≤ x < to across the box. */
+    trapSites(from, to) {
+        const sites = [];
+        if (!this.trapping) return sites;
+        const hw = DOMAIN_WIDTH / 2;
+        for (let x = Math.floor(from / TRAP_CELL) * TRAP_CELL; x < to; x += TRAP_CELL) {
+            for (let y = -hw; y < hw; y += TRAP_CELL) {
+                for (let z = -hw; z < hw; z += TRAP_CELL) {
+                    const c = [x + TRAP_CELL / 2, y + TRAP_CELL / 2, z + TRAP_CELL / 2];
+                    if (this.isTrapSite(...c)) sites.push(c);
+                }
+            }
+        }
+        return sites;
+    }
+
+    /** f(c) of D(C) = D·f(c), rebuilt when the form, β or expression changes. */
+    get concentrationFactor() {
+        const key = `${this.diffusivityForm}:${this.diffusivityStrength}:${this.diffusivityExpression}`;
+        if (this.factorCache?.key !== key) {
+            const form = DIFFUSIVITY_FORMS[this.diffusivityForm];
+            if (!form) throw new Error(`Unknown diffusivity form: ${this.diffusivityForm}`);
+            const f = form.factor ? form.factor(this.diffusivityStrength) : parseDiffusivityExpression(this.diffusivityExpression);
+            this.factorCache = { key, f };
+        }
+        return this.factorCache.f;
+    }
+
+    /** C/C₀ = count/(ρ₀·w) in bins of about `binWidth` µm across the domain:
+     *  {from, width, c}. The local concentration D(C) reads, and the
+     *  profile the Boltzmann–Matano analysis works on. */
+    concentrationProfile(binWidth = CONCENTRATION_BIN) {
+        const [from, to] = this.domain;
+        const bins = Math.max(1, Math.round((to - from) / binWidth));
+        const width = (to - from) / bins;
+        const c = new Float64Array(bins);
+        for (let i = 0; i < this.numAtoms; i++) {
+            const k = Math.floor((this.atoms[i * 3] - from) / width);
+            if (k >= 0 && k < bins) c[k]++;
+        }
+        const scale = 1 / (this.reservoirDensity * width);
+        for (let k = 0; k < bins; k++) c[k] *= scale;
+        return { from, width, c };
+    }
+
+    /** Region-1 drift velocity v = bΓλ (µm/s). By Nernst–Einstein a force F
+     *  gives v = D·F/kT, so F/kT = v/D = 6b/λ. */
+    get driftVelocity() { return this.driftBias * this.gamma * this.lambda; }
+
+    /** ∫ v dt′ from t0 to t1 (µm) — how far the profile has been carried.
+     *  v and D are both ∝ Γ, so v/D stays 6b/λ along a temperature program.
+     *  Traps hold atoms back, so the profile moves at v/(1 + K). */
+    driftShift(t0, t1) { return this.driftBias * this.lambda * this.integratedGamma(t0, t1) * this.trapSlowdown; }
+
+    get arrhenius() { return this.temperatureMode === 'arrhenius'; }
+
+    /** Temperature (K) of the program at time t: linear between points, held after the last. */
+    temperatureAt(t) {
+        const p = this.temperatureProgram;
+        if (t <= p[0].t) return p[0].T;
+        for (let i = 1; i < p.length; i++) {
+            if (t < p[i].t) return p[i - 1].T + (p[i].T - p[i - 1].T) * (t - p[i - 1].t) / (p[i].t - p[i - 1].t);
+        }
+        return p[p.length - 1].T;
+    }
+
+    /** Γ = ν₀·exp(−Q/kT) in Hz. */
+    arrheniusGamma(T) { return this.nu0 * Math.exp(-this.activationEnergy / (BOLTZMANN_EV * T)); }
+
+    /** Region-1 jump frequency at time t. */
+    gammaAt(t) { return this.arrhenius ? this.arrheniusGamma(this.temperatureAt(t)) : this.gamma; }
+
+    /** ∫ Γ dt′ from t0 to t1. Γ(T(t)) has no closed-form integral along a
+     *  ramp, so Arrhenius mode uses Simpson's rule between program points. */
+    integratedGamma(t0, t1) {
+        if (!this.arrhenius) return this.gamma * (t1 - t0);
+        const knots = [t0, ...this.temperatureProgram.map(p => p.t).filter(t => t > t0 && t < t1), t1];
+        const n = 32; // even
+        let sum = 0;
+        for (let k = 1; k < knots.length; k++) {
+            const a = knots[k - 1], h = (knots[k] - a) / n;
+            if (h <= 0) continue;
+            let s = this.gammaAt(a) + this.gammaAt(knots[k]);
+            for (let i = 1; i < n; i++) s += (i % 2 ? 4 : 2) * this.gammaAt(a + i * h);
+            sum += s * h / 3;
+        }
+        return sum;
+    }
+
+    /** Dᵢ at time t (µm²/s), following the temperature program. */
+    diffusivityAt(t, axis = 'x') {
+        return this.lambda * this.lambda / 6 * this.gammaAt(t) * this.diffusionRatios[axis];
+    }
+
+    /** ∫ Dᵢ dt′ from t0 to t1 (µm²) along `axis` — along x, the Dt that enters
+     *  every analytical solution. */
+    integratedD(t0, t1, axis = 'x') {
+        return this.lambda * this.lambda / 6 * this.integratedGamma(t0, t1) * this.diffusionRatios[axis];
+    }
+
+    /** Reservoir density ρ₀ in atoms per µm of x: at C = C₀ the visible window
+     *  would hold `loadedAtoms` atoms. */
+    get reservoirDensity() { return this.loadedAtoms / VISIBLE_LENGTH; }
+
+    setCase(n) {
+        getScenario(n); // throws on an unregistered case
+        this.caseNum = n;
+        this.reset();
+    }
+
+    /** Set case-specific parameters (see a scenario's `params`). Restarts the
+     *  run if any of them belongs to the active case. */
+    configure(params) {
+        Object.assign(this, params);
+        const own = this.scenario.params ?? {};
+        if (Object.keys(params).some(k => k in own)) this.reset();
+    }
+
+    /** Configure the Case 4 slab: {thickness, frontFace, backFace}. */
+    setSlab({ thickness = this.slabThickness, frontFace = this.frontFace, backFace = this.backFace } = {}) {
+        this.configure({ slabThickness: thickness, frontFace, backFace });
+    }
+
+    /** Configure Case 1's surface: {mode, schedule}. */
+    setSurface({ mode = this.surfaceMode, schedule = this.surfaceSchedule } = {}) {
+        this.configure({ surfaceMode: mode, surfaceSchedule: schedule });
+    }
+
+    /** Configure the jump frequency: {mode, nu0, activationEnergy, program}.
+     *  The analytical Dt depends on the whole temperature history, so this
+     *  always restarts the run. */
+    setTemperature({ mode = this.temperatureMode, nu0 = this.nu0, activationEnergy = this.activationEnergy,
+        program = this.temperatureProgram } = {}) {
+        this.temperatureMode = mode;
+        this.nu0 = nu0;
+        this.activationEnergy = activationEnergy;
+        this.temperatureProgram = program;
+        this.reset();
+    }
+
+    /** Configure the walk: {mode, lattice, anisotropy}. Atoms must start on
+     *  lattice sites, so this always restarts the run. */
+    setWalk({ mode = this.walkMode, lattice = this.lattice, anisotropy = this.anisotropy } = {}) {
+        if (!(lattice in LATTICES)) throw new Error(`Unknown lattice: ${lattice}`);
+        this.walkMode = mode;
+        this.lattice = lattice;
+        this.anisotropy = { ...anisotropy };
+        this.reset();
+    }
+
+    /** Place the Case 5 interface. */
+    setInterface(x) { this.configure({ interfaceX: x }); }
+
+    /** Profile binning and the visible window: `bins` histogram bins over
+     *  `window` = [min, max] µm (null restores the case's default). Display
+     *  only, so the run carries on. */
+    setView({ bins = this.numBins, window = this.viewWindow } = {}) {
+        if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) throw new Error(`bins must be an integer from 1 to ${MAX_BINS}`);
+        if (window && !(window[1] > window[0])) throw new Error('the window needs min < max');
+        this.numBins = bins;
+        this.viewWindow = window ? [window[0], window[1]] : null;
+    }
+
+    /** Count net crossings of the planes x = xs[k] (µm) from now on. */
+    setFluxPlanes(xs) {
+        this.fluxPlanes = [...xs];
+        this.planeCrossings = xs.map(() => 0);
+    }
+
+    /** Switch to a seeded generator (or back to Math.random() with `null`). */
+    setSeed(seed) {
+        this.rng = seed === null || seed === undefined ? MathRandom : new SeededRandom(seed);
+    }
 
     reset() {
+        this.runId++;
         this.time = 0;
+        this.absorbed = 0;
+        this.reacted = 0;
+        this.planeCrossings = this.fluxPlanes.map(() => 0);
+        this.nextId = 0;
+        if (this.arrhenius) this.gamma = this.gammaAt(0);
+        this.placeAtoms();
+        this.snapToLattice(0, this.numAtoms);
+        this.markOrigins(0, this.numAtoms, true);
+        this.msd = this.meanSquaredDisplacement();
+    }
+
+    /** Initial atom positions for the current case. */
+    placeAtoms() {
+        if (this.usesReservoir) {
+            this.numAtoms = this.refillReservoir(0, this.surfaceLevel(0));
+            return;
+        }
+        this.scenario.place(this);
+    }
+
+    /** Placement helper for scenarios: all `loadedAtoms` on the plane at x. */
+    placeAtPlane(x) {
+        this.numAtoms = this.loadedAtoms;
+        this.fillPlane(0, this.numAtoms, x);
+    }
+
+    /** Placement helper for scenarios: [x0, x0 + span) uniformly at C₀ (ρ₀ atoms/µm). */
+    placeUniform(x0, span) {
         const W = DOMAIN_WIDTH;
+        const rng = this.rng;
+        this.numAtoms = Math.min(Math.round(this.reservoirDensity * span), MAX_ATOMS);
         for (let i = 0; i < this.numAtoms; i++) {
-            this.atoms[i * 3] = 0;
-            this.atoms[i * 3 + 1] = (Math.random() - 0.5) * W;
-            this.atoms[i * 3 + 2] = (Math.random() - 0.5) * W;
+            this.atoms[i * 3] = x0 + span * rng.random();
+            this.atoms[i * 3 + 1] = (rng.random() - 0.5) * W;
+            this.atoms[i * 3 + 2] = (rng.random() - 0.5) * W;
+        }
+    }
+
+    /** Put atoms [from, to) at the point (x, 0, 0). */
+    fillPoint(from, to, x) {
+        for (let i = from; i < to; i++) {
+            this.atoms[i * 3] = x;
+            this.atoms[i * 3 + 1] = 0;
+            this.atoms[i * 3 + 2] = 0;
+        }
+    }
+
+    /** Put atoms [from, to) on the line through (x, 0) along z. */
+    fillLine(from, to, x) {
+        const rng = this.rng;
+        for (let i = from; i < to; i++) {
+            this.atoms[i * 3] = x;
+            this.atoms[i * 3 + 1] = 0;
+            this.atoms[i * 3 + 2] = (rng.random() - 0.5) * DOMAIN_WIDTH;
         }
     }
 
+    /** Put atoms [from, to) on the plane at x, spread over y and z. */
+    fillPlane(from, to, x) {
+        const W = DOMAIN_WIDTH;
+        const rng = this.rng;
+        for (let i = from; i < to; i++) {
+            this.atoms[i * 3] = x;
+            this.atoms[i * 3 + 1] = (rng.random() - 0.5) * W;
+            this.atoms[i * 3 + 2] = (rng.random() - 0.5) * W;
+        }
+    }
+
+    /** Move atoms [from, to) to their nearest lattice site (lattice walk only).
+     *  Reflections at x = 0 map sites onto sites; atoms refilled into a
+     *  reservoir band are left where they land, on a translated copy of the
+     *  lattice, which changes nothing statistically. */
+    snapToLattice(from, to) {
+        if (this.walkMode !== 'lattice') return;
+        const { cell, basis } = LATTICES[this.lattice];
+        const a = cell * this.lambda;
+        const p = this.atoms;
+        for (let i = from; i < to; i++) {
+            const x = p[i * 3], y = p[i * 3 + 1], z = p[i * 3 + 2];
+            let best = Infinity;
+            for (const [bx, by, bz] of basis) {
+                const sx = (Math.round(x / a - bx) + bx) * a;
+                const sy = (Math.round(y / a - by) + by) * a;
+                const sz = (Math.round(z / a - bz) + bz) * a;
+                const d = (sx - x) ** 2 + (sy - y) ** 2 + (sz - z) ** 2;
+                if (d >= best) continue;
+                best = d;
+                p[i * 3] = sx; p[i * 3 + 1] = sy; p[i * 3 + 2] = sz;
+            }
+        }
+    }
+
+    /** Change the loaded atom count by adding/dropping atoms at the end of the
+     *  buffer. Atoms already absorbed stay absorbed. */
     setNumAtoms(n) {
+        if (this.usesReservoir) {
+            this.loadedAtoms = n; // sets ρ₀; the reservoir adjusts on the next sub-step
+            return;
+        }
+        if (this.profileNormalization === 'reservoir') {
+            this.loadedAtoms = n; // pre-loaded bodies: reload at the new C₀
+            this.reset();
+            return;
+        }
+        // loadedAtoms follows the request even where the live count clamps
+        // (more removed than asked off), so asking again changes nothing
         const old = this.numAtoms;
-        this.numAtoms = n;
-        if (n > old) {
-            const W = DOMAIN_WIDTH;
-            for (let i = old; i < n; i++) {
-                this.atoms[i * 3] = 0;
-                this.atoms[i * 3 + 1] = (Math.random() - 0.5) * W;
-                this.atoms[i * 3 + 2] = (Math.random() - 0.5) * W;
-            }
+        const live = Math.max(0, Math.min(MAX_ATOMS, old + n - this.loadedAtoms));
+        this.loadedAtoms = n;
+        this.numAtoms = live;
+        if (live > old) {
+            const fill = this.scenario.fill ?? ((sim, from, to) => sim.fillPlane(from, to, 0));
+            fill(this, old, live);
+            this.snapToLattice(old, live);
+            this.markOrigins(old, live, this.time === 0);
         }
     }
 
+    /** Give atoms [from, to) fresh ids and start their displacement history
+     *  where they are now. Untracked atoms (`tracked` false) get a NaN origin
+     *  and are left out of the MSD, which assumes every atom started at t = 0. */
+    markOrigins(from, to, tracked) {
+        for (let i = from; i < to; i++) this.ids[i] = this.nextId++;
+        this.trapped.fill(0, from, to);
+        if (tracked) this.origins.set(this.atoms.subarray(from * 3, to * 3), from * 3);
+        else this.origins.fill(NaN, from * 3, to * 3);
+        this.displacements.fill(0, from * 3, to * 3);
+    }
+
+    /** Swap-remove atom i of n live atoms: the last one takes its slot. */
+    removeAtom(i, n) {
+        const a = i * 3, b = (n - 1) * 3;
+        this.atoms.copyWithin(a, b, b + 3);
+        this.origins.copyWithin(a, b, b + 3);
+        this.displacements.copyWithin(a, b, b + 3);
+        this.ids[i] = this.ids[n - 1];
+        this.trapped[i] = this.trapped[n - 1];
+    }
+
+    /** Mean-squared displacement per axis and in total (r = x + y + z) over
+     *  the atoms tracked since t = 0. For free diffusion each axis gives
+     *  2∫D dt and r gives 6∫D dt; walls and sinks bend the x component. */
+    meanSquaredDisplacement() {
+        let x = 0, y = 0, z = 0, tracked = 0;
+        for (let i = 0; i < this.numAtoms; i++) {
+            if (Number.isNaN(this.origins[i * 3])) continue;
+            const dx = this.displacements[i * 3], dy = this.displacements[i * 3 + 1], dz = this.displacements[i * 3 + 2];
+            x += dx * dx; y += dy * dy; z += dz * dz;
+            tracked++;
+        }
+        if (tracked === 0) return { x: 0, y: 0, z: 0, r: 0, tracked };
+        x /= tracked; y /= tracked; z /= tracked;
+        return { x, y, z, r: x + y + z, tracked };
+    }
+
+    /** Fixed-C₀ face at x = 0. An atom's x-step is at most λ (√(4/3)·λ with
+     *  drift), so only the band [−λ, 0) of a semi-infinite reservoir can feed the body. Every sub-step the
+     *  band is emptied and refilled with ρ₀·λ uniformly placed atoms, which keeps
+     *  C(0, t) = C₀ no matter how many atoms diffuse in or fall back out.
+     *  `level` scales ρ₀ for a scheduled surface (C_s/C₀); at 0 the face is a
+     *  perfect sink. Returns the new live-atom count. */
+    refillReservoir(n, level) {
+        const atoms = this.atoms;
+        for (let i = 0; i < n; i++) {
+            if (atoms[i * 3] >= 0) continue;
+            this.removeAtom(i, n);
+            n--;
+            i--;
+        }
+        const start = n;
+        const rng = this.rng;
+        const lam = this.lambda * Math.sqrt(1 + 3 * this.driftBias ** 2); // longest x-step
+        const W = DOMAIN_WIDTH;
+        const mean = this.reservoirDensity * level * lam;
+        let target = Math.floor(mean);
+        if (rng.random() < mean - target) target++; // stochastic rounding keeps ρ₀ unbiased
+        target = Math.min(target, MAX_ATOMS - n);
+        for (let k = 0; k < target; k++, n++) {
+            atoms[n * 3] = -lam * (1 - rng.random()); // in [−λ, 0)
+            atoms[n * 3 + 1] = (rng.random() - 0.5) * W;
+            atoms[n * 3 + 2] = (rng.random() - 0.5) * W;
+        }
+        this.markOrigins(start, n, false);
+        return n;
+    }
+
     step(dt) {
         if (!this.running) return;
         const simDt = dt * this.speed;
-        const subSteps = Math.max(1, Math.ceil(this.gamma * simDt));
+        const scenario = this.scenario;
+        const t0 = this.time;
+        const arrhenius = this.arrhenius;
+        let gammaMax = this.gamma;
+        if (arrhenius) {
+            // Γ rises with T, and T is piecewise linear: its peak over the
+            // frame is at an end or at a program point inside it.
+            let T = Math.max(this.temperatureAt(t0), this.temperatureAt(t0 + simDt));
+            for (const p of this.temperatureProgram) if (p.t > t0 && p.t < t0 + simDt) T = Math.max(T, p.T);
+            gammaMax = this.arrheniusGamma(T);
+        }
+        // A second material (Case 5) has its own Γ and λ beyond the interface
+        let iface = scenario.interface?.(this) ?? null;
+        const couple = iface !== null;
+        if (couple) gammaMax = Math.max(gammaMax, iface.gamma2);
+        // A weighted lattice jumps at Γ·w̄ (see latticeJumps). Its sub-steps keep
+        // the jump probability ≤ ½: every bcc jump moves x by ±a/2, and at p = 1
+        // all atoms would hop between the two sets of planes in lockstep.
+        const lattice = this.walkMode === 'lattice' ? this.latticeJumps() : null;
+        const rate = lattice ? lattice.rate : 1;
+        gammaMax *= rate;
+        // D(C): attempts run at the fastest local rate Γ·f_max and are thinned
+        // by f(c)/f_max; the sub-steps allow for c rising to 1.5× its peak.
+        const dependent = this.concentrationDependent;
+        const factor = dependent ? this.concentrationFactor : null;
+        let local = dependent ? this.concentrationProfile() : null;
+        if (dependent) {
+            const top = 1.5 * Math.max(1, ...local.c);
+            let fBound = 0;
+            for (let k = 0; k <= 32; k++) fBound = Math.max(fBound, factor(top * k / 32));
+            gammaMax *= fBound;
+        }
+        // Sink and traps: every event stays a probability ≤ 1 per sub-step
+        const kinetic = this.reactive;
+        const trapping = this.trapping;
+        const rateMax = kinetic ? Math.max(this.reactionRate, trapping ? this.trapCapture : 0, trapping ? this.trapRelease : 0) : 0;
+        const subSteps = Math.max(1, Math.ceil(gammaMax * simDt * (lattice ? 2 : 1)), Math.ceil(rateMax * simDt));
         const subDt = simDt / subSteps;
-        const lam = this.lambda;
-        const xMin = this.domainMin;
-        const xMax = this.domainMax;
+        const pLoss = this.reactionRate * subDt;
+        const pCapture = trapping ? this.trapCapture * subDt : 0;
+        const pRelease = this.trapRelease * subDt;
+        const bandTop = this.domainMin;
+        const planes = this.fluxPlanes.length > 0 ? this.fluxPlanes : null;
+        const crossings = this.planeCrossings;
+        const lam1 = this.lambda;
         const hw = DOMAIN_WIDTH / 2;
-        const n = this.numAtoms;
-        const caseNum = this.caseNum;
+        const { y: wrapY, z: wrapZ } = this.periodic;
+        let n = this.numAtoms;
+        const rng = this.rng;
+        const boundary = scenario.boundary(this);
+        const reservoir = scenario.reservoir?.(this) ?? null;
+        // A biased walk samples cos θ about x (the drift axis) instead of z
+        const bias = this.driftBias;
+        const tilted = bias !== 0;
+        let stretch = 1, tilt = 0;
 
         for (let s = 0; s < subSteps; s++) {
-            const p = this.gamma * subDt;
+            if (arrhenius) {
+                this.gamma = this.gammaAt(t0 + (s + 0.5) * subDt);
+                if (couple) iface = scenario.interface(this); // acceptances follow Γ₁
+            }
+            const { x: xi, lambda2: lam2, a12, a21 } = iface ?? {};
+            let factors = null, fMax = 1, fBelow = 0;
+            if (dependent) {
+                if (s > 0) local = this.concentrationProfile();
+                factors = Float64Array.from(local.c, c => Math.max(factor(c), 0));
+                // A reservoir band below the domain is at the surface level
+                fBelow = reservoir ? Math.max(factor(reservoir(t0 + (s + 0.5) * subDt)), 0) : factors[0];
+                fMax = Math.max(fBelow, ...factors);
+            }
+            const p1 = this.gamma * rate * subDt * fMax;
+            const p2 = couple ? iface.gamma2 * rate * subDt * fMax : 0;
+            if (tilted) {
+                // An atom jumps with probability p per sub-step, so a mean step
+                // bλ costs p²b²λ² of x-variance. Stretching x-steps by
+                // α = √(1 + 3p·b²) and tilting by b/α (density (1 + 3(b/α)·cos θₓ)/2)
+                // keeps the mean at bλ and the variance at pλ²/3 = 2D·Δt.
+                stretch = Math.sqrt(1 + 3 * p1 * bias * bias);
+                tilt = bias / stretch;
+            }
             for (let i = 0; i < n; i++) {
-                if (Math.random() >= p) continue;
                 const idx = i * 3;
-                const cosT = 2 * Math.random() - 1;
-                const sinT = Math.sqrt(1 - cosT * cosT);
-                const phi = 6.283185307 * Math.random();
-                this.atoms[idx] += lam * sinT * Math.cos(phi);
-                this.atoms[idx + 1] += lam * sinT * Math.sin(phi);
-                this.atoms[idx + 2] += lam * cosT;
-
-                let x = this.atoms[idx];
-                if (caseNum === 1) {
-                    if (x < 0) x = 0;        // constant-C source
-                    if (x > xMax) x = xMax;   // clamp at 100 µm (far enough)
-                } else if (caseNum === 2) {
-                    if (x < xMin) x = xMin;   // clamp at ±50 µm
-                    if (x > xMax) x = xMax;
+                const x0 = this.atoms[idx];
+                // Reactions act in the domain, not in a reservoir band below it.
+                // A trapped atom waits for its release; a mobile one may be
+                // consumed, or captured if it sits in a trap cell.
+                if (kinetic && x0 >= bandTop) {
+                    if (this.trapped[i]) {
+                        if (rng.random() < pRelease) this.trapped[i] = 0;
+                        continue;
+                    }
+                    if (pLoss > 0 && rng.random() < pLoss) {
+                        this.reacted++;
+                        this.removeAtom(i, n);
+                        n--;
+                        i--;
+                        continue;
+                    }
+                    if (pCapture > 0 && this.isTrapSite(x0, this.atoms[idx + 1], this.atoms[idx + 2])
+                        && rng.random() < pCapture) {
+                        this.trapped[i] = 1;
+                        continue;
+                    }
+                }
+                // Case 5: each side of the interface has its own Γ and λ
+                const inRegion2 = couple && x0 >= xi;
+                if (rng.random() >= (inRegion2 ? p2 : p1)) continue;
+                const lam = inRegion2 ? lam2 : lam1;
+                let dx, dy, dz;
+                if (lattice) {
+                    // Nearest neighbour k with probability wₖ/Σw
+                    const u = rng.random();
+                    let k = 0;
+                    while (lattice.cum[k] <= u && k < lattice.cum.length - 1) k++;
+                    dx = lam * lattice.dirs[k * 3];
+                    dy = lam * lattice.dirs[k * 3 + 1];
+                    dz = lam * lattice.dirs[k * 3 + 2];
                 } else {
-                    if (x < 0) x = -x;        // reflecting wall
-                    if (x > xMax) x = xMax;   // clamp at 100 µm
+                    const cosT = tilted ? tiltedCosine(rng.random(), tilt) : 2 * rng.random() - 1;
+                    const sinT = Math.sqrt(1 - cosT * cosT);
+                    const phi = 6.283185307 * rng.random();
+                    const across = lam * sinT * Math.cos(phi);
+                    dx = tilted ? stretch * lam * cosT : across;
+                    dy = tilted ? across : lam * sinT * Math.sin(phi);
+                    dz = tilted ? lam * sinT * Math.sin(phi) : lam * cosT;
+                }
+                if (factors) {
+                    // Thinned at the jump's midpoint, so the rate is the same
+                    // both ways across any point and the flux is −D(C)·∂C/∂x
+                    const k = Math.min(Math.floor((x0 + dx / 2 - local.from) / local.width), factors.length - 1);
+                    if (rng.random() * fMax >= (k < 0 ? fBelow : factors[k])) continue;
+                }
+                let xNew = x0 + dx;
+                if (couple && (xNew >= xi) !== inRegion2) {
+                    if (rng.random() >= (inRegion2 ? a21 : a12)) continue; // bounced off the interface
+                    // Refract: the part of the step past the interface is rescaled
+                    // to the other side's λ. In a coordinate stretched by λ₁/λ₂
+                    // on side 2 every jump has the same length, which is what
+                    // makes the acceptance ratio satisfy detailed balance.
+                    xNew = xi + (xNew - xi) * (inRegion2 ? lam1 / lam2 : lam2 / lam1);
+                }
+                this.atoms[idx] = xNew;
+                this.atoms[idx + 1] += dy;
+                this.atoms[idx + 2] += dz;
+
+                const x = boundary(this.atoms[idx]);
+                // A plane counts where the jump ends, or where it left the domain
+                if (planes) countCrossings(planes, crossings, x0, Number.isNaN(x) ? this.atoms[idx] : x);
+                if (Number.isNaN(x)) {
+                    // Absorbed: move the last live atom into this slot and
+                    // process it next (it hasn't moved this sub-step).
+                    this.absorbed++;
+                    this.removeAtom(i, n);
+                    n--;
+                    i--;
+                    continue;
                 }
                 this.atoms[idx] = x;
+                // Unwrapped displacement: x after its wall, y/z before the wrap
+                this.displacements[idx] += x - x0;
+                this.displacements[idx + 1] += dy;
+                this.displacements[idx + 2] += dz;
 
-                // Periodic boundary conditions on y and z
+                // Periodic boundary conditions on y and z (unbounded for radial sources)
                 let y = this.atoms[idx + 1];
                 let z = this.atoms[idx + 2];
-                if (y < -hw) y += DOMAIN_WIDTH;
-                else if (y > hw) y -= DOMAIN_WIDTH;
-                if (z < -hw) z += DOMAIN_WIDTH;
-                else if (z > hw) z -= DOMAIN_WIDTH;
+                if (wrapY) {
+                    if (y < -hw) y += DOMAIN_WIDTH;
+                    else if (y > hw) y -= DOMAIN_WIDTH;
+                }
+                if (wrapZ) {
+                    if (z < -hw) z += DOMAIN_WIDTH;
+                    else if (z > hw) z -= DOMAIN_WIDTH;
+                }
                 this.atoms[idx + 1] = y;
                 this.atoms[idx + 2] = z;
             }
+            if (reservoir) n = this.refillReservoir(n, reservoir(t0 + (s + 1) * subDt));
         }
+        this.numAtoms = n;
         this.time += simDt;
+        if (arrhenius) this.gamma = this.gammaAt(this.time);
+        this.msd = this.meanSquaredDisplacement();
     }
 
-    /** Histogram of atoms within VISIBLE range only. Returns raw counts. */
-    getHistogram() {
-        const bins = new Float32Array(NUM_BINS);
-        const lo = this.visibleMin;
-        const hi = this.visibleMax;
-        const binW = (hi - lo) / NUM_BINS;
+    /** Tunable scalar parameters — everything a step() needs besides the atoms. */
+    getParams() {
+        const params = {
+            gamma: this.gamma, lambda: this.lambda, speed: this.speed, bias: this.bias,
+            walkMode: this.walkMode, lattice: this.lattice, anisotropy: this.anisotropy,
+            temperatureMode: this.temperatureMode, nu0: this.nu0, activationEnergy: this.activationEnergy,
+            temperatureProgram: this.temperatureProgram,
+            diffusivityForm: this.diffusivityForm, diffusivityStrength: this.diffusivityStrength,
+            diffusivityExpression: this.diffusivityExpression,
+            reactionRate: this.reactionRate, trapFraction: this.trapFraction,
+            trapCapture: this.trapCapture, trapRelease: this.trapRelease,
+            numBins: this.numBins, viewWindow: this.viewWindow,
+        };
+        for (const scenario of listScenarios()) {
+            for (const key of Object.keys(scenario.params ?? {})) params[key] = this[key];
+        }
+        return params;
+    }
+
+    setParams(p) { Object.assign(this, p); }
+
+    /** Plain-object copy of the full run state (JSON-serializable).
+     *  Restoring it and stepping with the same dt sequence reproduces the
+     *  original run bit-for-bit, provided the generator is seeded. */
+    snapshot() {
+        return {
+            version: 1,
+            caseNum: this.caseNum,
+            ...this.getParams(),
+            time: this.time,
+            numAtoms: this.numAtoms,
+            loadedAtoms: this.loadedAtoms,
+            absorbed: this.absorbed,
+            reacted: this.reacted,
+            fluxPlanes: [...this.fluxPlanes],
+            planeCrossings: [...this.planeCrossings],
+            atoms: Array.from(this.atoms.subarray(0, this.numAtoms * 3)),
+            origins: Array.from(this.origins.subarray(0, this.numAtoms * 3)), // NaN → null in JSON
+            displacements: Array.from(this.displacements.subarray(0, this.numAtoms * 3)),
+            ids: Array.from(this.ids.subarray(0, this.numAtoms)),
+            trapped: Array.from(this.trapped.subarray(0, this.numAtoms)),
+            nextId: this.nextId,
+            rngState: this.rng.getState(),
+        };
+    }
+
+    restore(snap) {
+        if (snap.version !== 1) throw new Error(`Unsupported snapshot version: ${snap.version}`);
+        if (snap.numAtoms > MAX_ATOMS) throw new Error(`Snapshot has ${snap.numAtoms} atoms (max ${MAX_ATOMS})`);
+        this.runId++;
+        this.caseNum = snap.caseNum;
+        const params = {};
+        for (const k of Object.keys(this.getParams())) if (k in snap) params[k] = snap[k];
+        this.setParams(params);
+        this.time = snap.time;
+        this.numAtoms = snap.numAtoms;
+        this.loadedAtoms = snap.loadedAtoms ?? snap.numAtoms;
+        this.absorbed = snap.absorbed ?? 0;
+        this.reacted = snap.reacted ?? 0;
+        this.fluxPlanes = snap.fluxPlanes ?? [];
+        this.planeCrossings = snap.planeCrossings ?? this.fluxPlanes.map(() => 0);
+        this.atoms.set(snap.atoms);
+        if (snap.origins) {
+            this.origins.set(snap.origins.map(v => v ?? NaN));
+            this.displacements.set(snap.displacements);
+            this.ids.set(snap.ids);
+            this.nextId = snap.nextId;
+        } else {
+            this.nextId = 0; // older snapshot: track from the restored positions
+            this.markOrigins(0, this.numAtoms, true);
+        }
+        if (snap.trapped) this.trapped.set(snap.trapped);
+        else this.trapped.fill(0, 0, this.numAtoms);
+        this.msd = this.meanSquaredDisplacement();
+        if (snap.rngState !== null) {
+            if (this.rng === MathRandom) this.rng = new SeededRandom();
+            this.rng.setState(snap.rngState);
+        }
+    }
+
+    /** Histogram of the profile coordinate (x, or r for radial sources)
+     *  within the profile range only, in `numBins` bins. Returns raw counts of all, 'mobile' or
+     *  'trapped' atoms; by default the mobile ones while traps are on, which
+     *  is what the analytical curve describes. */
+    getHistogram(state = this.trapping ? 'mobile' : 'all') {
+        const n = this.numBins;
+        const bins = new Float32Array(n);
+        const keep = state === 'all' ? -1 : state === 'trapped' ? 1 : 0;
+        const { min: lo, max: hi, at, cell = 0 } = this.profile;
+        const binW = (hi - lo) / n;
+        const a = this.atoms;
+        if (cell > 0) {
+            // Lattice planes are sparser than the bins would need, so each atom
+            // is spread over its plane's slab [x − cell/2, x + cell/2], cut at
+            // the domain ends (a wall plane only owns half a slab).
+            const [dMin, dMax] = this.domain;
+            for (let i = 0; i < this.numAtoms; i++) {
+                if (keep >= 0 && this.trapped[i] !== keep) continue;
+                const c = at(a[i * 3], a[i * 3 + 1], a[i * 3 + 2]);
+                const from = Math.max(c - cell / 2, dMin), to = Math.min(c + cell / 2, dMax);
+                if (to <= from) continue;
+                const b0 = Math.max(Math.floor((from - lo) / binW), 0);
+                const b1 = Math.min(Math.floor((to - lo) / binW), n - 1);
+                for (let b = b0; b <= b1; b++) {
+                    const overlap = Math.min(to, lo + (b + 1) * binW) - Math.max(from, lo + b * binW);
+                    if (overlap > 0) bins[b] += overlap / (to - from);
+                }
+            }
+            return bins;
+        }
         for (let i = 0; i < this.numAtoms; i++) {
-            const x = this.atoms[i * 3];
+            if (keep >= 0 && this.trapped[i] !== keep) continue;
+            const x = at(a[i * 3], a[i * 3 + 1], a[i * 3 + 2]);
             if (x < lo || x >= hi) continue;
-            const b = Math.min(Math.floor((x - lo) / binW), NUM_BINS - 1);
+            const b = Math.min(Math.floor((x - lo) / binW), n - 1);
             bins[b]++;
         }
         return bins;
     }
 
+    /** Profile coordinate of every live atom (see `profile`). */
+    profileCoordinates() {
+        const { at } = this.profile;
+        const a = this.atoms;
+        const out = new Float32Array(this.numAtoms);
+        for (let i = 0; i < this.numAtoms; i++) out[i] = at(a[i * 3], a[i * 3 + 1], a[i * 3 + 2]);
+        return out;
+    }
+
+    /** Counts over the visible box on an nx × ny × nz grid (index
+     *  ix + nx·(iy + ny·iz)); y and z span DOMAIN_WIDTH. */
+    getHistogram3D(nx, ny, nz) {
+        const grid = new Float32Array(nx * ny * nz);
+        const lo = this.visibleMin;
+        const sx = nx / (this.visibleMax - lo);
+        const sy = ny / DOMAIN_WIDTH, sz = nz / DOMAIN_WIDTH;
+        const hw = DOMAIN_WIDTH / 2;
+        for (let i = 0; i < this.numAtoms; i++) {
+            const x = this.atoms[i * 3];
+            const y = this.atoms[i * 3 + 1], z = this.atoms[i * 3 + 2];
+            if (x < lo || x >= this.visibleMax || Math.abs(y) > hw || Math.abs(z) > hw) continue;
+            const ix = Math.min(Math.floor((x - lo) * sx), nx - 1);
+            const iy = Math.min(Math.floor((y + hw) * sy), ny - 1);
+            const iz = Math.min(Math.floor((z + hw) * sz), nz - 1);
+            grid[ix + nx * (iy + ny * iz)]++;
+        }
+        return grid;
+    }
+
+    /** Counts projected onto the x–y (axis 'y') or x–z (axis 'z') plane:
+     *  nx × nv grid, index ix + nx·iv. In the planar cases summing over iv gives getHistogram(). */
+    getHistogram2D(axis = 'y', nx = NUM_BINS, nv = 16) {
+        return this.getHistogram3D(nx, axis === 'y' ? nv : 1, axis === 'z' ? nv : 1);
+    }
+
     /** Count atoms within the visible window. */
     countInView() {
         let c = 0;
@@ -136,20 +1182,43 @@ export class DiffusionSim {
         return c;
     }
 
-    /** Analytical solution.
-     *  Case 1: returns C/C₀ (0–1 range).
-     *  Cases 2&3: returns probability density (peak decreases with time). */
+    /** How the active case handles the sink and traps (see `reaction` in
+     *  scenarios.js): 'decay', its own mobile solution, or null when the
+     *  closed form ignores them. Also null while nothing reacts. */
+    get reactionSolution() {
+        return this.reactive ? this.scenario.reaction?.(this) ?? null : null;
+    }
+
+    /** Analytical solution of the active case: C/C₀ when surfaceNormalized,
+     *  else a probability density. With a sink or traps it is the mobile
+     *  concentration in local equilibrium, where D and k act at 1/(1 + K)
+     *  of their rates and a mobile share 1/(1 + K) of the atoms is left. */
     analyticalAt(x) {
-        const Dt = this.D * this.time;
-        if (this.caseNum === 1) {
-            if (Dt < 1e-9) return x < 0.01 ? 1 : 0;
-            return erfc(x / (2 * Math.sqrt(Dt)));
+        const Dt = this.integratedD(0, this.time);
+        const reaction = this.reactionSolution;
+        if (typeof reaction === 'function') return reaction(x);
+        if (reaction === 'decay') {
+            const s = this.trapSlowdown;
+            return this.scenario.analytical(this, x, Dt * s) * Math.exp(-this.reactionRate * this.time * s) * s;
         }
-        if (Dt < 1e-9) return 0;
-        const gauss = Math.exp(-(x * x) / (4 * Dt));
-        const pre = this.caseNum === 2
-            ? 1 / (2 * Math.sqrt(Math.PI * Dt))
-            : 1 / Math.sqrt(Math.PI * Dt);
-        return pre * gauss;
+        return this.scenario.analytical(this, x, Dt);
+    }
+
+    /** Analytical trapped concentration, K times the mobile one, or null
+     *  without traps or a solution that accounts for them. */
+    analyticalTrappedAt(x) {
+        if (!this.trapping || this.reactionSolution === null) return null;
+        return this.trapRatio * this.analyticalAt(x);
+    }
+
+    /** Analytical cumulative distribution of atom positions, or null for
+     *  cases without a closed-form CDF. A uniform sink and traps in local
+     *  equilibrium leave the shape at the slowed Dt; other reactive cases have none. */
+    analyticalCdfAt(x) {
+        const cdf = this.scenario.cdf;
+        if (!cdf) return null;
+        const Dt = this.integratedD(0, this.time);
+        if (!this.reactive) return cdf(this, x, Dt);
+        return this.reactionSolution === 'decay' ? cdf(this, x, Dt * this.trapSlowdown) : null;
     }
 }
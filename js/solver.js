@@ -0,0 +1,278 @@
+// Deterministic reference for the random walk: Fick's second law solved by
+// finite volumes on the scenario's continuum model (see `continuum` in
+// scenarios.js). Cases whose analytical formula is only an idealization —
+// variable D, time-varying surfaces — can be checked against this instead.
+// DOM-free, so the CLI can write it next to the histogram.
+import { VISIBLE_LENGTH } from './simulation.js';
+
+/** Time-stepping schemes of the θ-method. A step may be at most
+ *  `courant`/r_max long, r_max being the fastest rate at which a cell
+ *  exchanges atoms with its neighbours:
+ *   explicit        (θ = 0) — the stability bound; the update is then a
+ *                   weighted average of neighbouring cells and stays non-negative
+ *   crank-nicolson  (θ = ½) — the same bound on its explicit half, which keeps
+ *                   a sharp film from ringing; second order in time
+ *   implicit        (θ = 1) — backward Euler, stable at any step; the cap
+ *                   only limits its first-order time error */
+export const FD_SCHEMES = {
+    explicit: { label: 'Explicit (FTCS)', theta: 0, courant: 1 },
+    'crank-nicolson': { label: 'Crank–Nicolson', theta: 0.5, courant: 2 },
+    implicit: { label: 'Implicit (backward Euler)', theta: 1, courant: 4 },
+};
+
+const GEOMETRY_POWER = { planar: 0, cylindrical: 1, spherical: 2 };
+const MIN_CELL = 0.01;                  // µm
+const MAX_CELL = VISIBLE_LENGTH / 100;  // µm — well under a plot bin
+const MAX_CELLS = 4000;
+
+/** Bernoulli function z/(eᶻ − 1), the weight of the Scharfetter–Gummel flux. */
+function bernoulli(z) {
+    if (Math.abs(z) < 1e-6) return 1 - z / 2;
+    return z / Math.expm1(z);
+}
+
+/** exp(A·t) of the mobile/trapped exchange A = [[−(k + κ), ν], [κ, −ν]]
+ *  (Putzer's formula with its two real eigenvalues), as [m11, m12, m21, m22]. */
+function kineticsPropagator({ loss, capture, release }, t) {
+    const a = -(loss + capture), b = release, c = capture, d = -release;
+    const half = (a + d) / 2;
+    const gap = Math.sqrt(Math.max(((a - d) / 2) ** 2 + b * c, 0));
+    const e1 = Math.exp((half + gap) * t), e2 = Math.exp((half - gap) * t);
+    const w = half - gap;
+    // (e1 − e2)/(μ1 − μ2), → t·e^{μt} for a double eigenvalue
+    const slope = gap > 1e-12 ? (e1 - e2) / (2 * gap) : t * e2;
+    return [e2 + slope * (a - w), slope * b, slope * c, e2 + slope * (d - w)];
+}
+
+/** Solves ∂C/∂t = ∇·(D∇C) − v·∂C/∂x on a 1D grid and follows a DiffusionSim
+ *  through sync(): restarted runs rebuild the grid, continued ones are
+ *  advanced to sim.time with the parameters as they are now, so a Γ or λ
+ *  changed mid-run bends the curve from that moment on. */
+export class FiniteDifferenceSolver {
+    /** @param {keyof FD_SCHEMES} [scheme] */
+    constructor(scheme = 'crank-nicolson') {
+        this.setScheme(scheme);
+        this.grid = null;
+        this.time = 0;
+        this.runId = -1;
+        this.maxStep = Infinity; // courant/r_max from the last step
+    }
+
+    setScheme(scheme) {
+        if (!(scheme in FD_SCHEMES)) throw new Error(`Unknown finite-difference scheme: ${scheme}`);
+        this.scheme = scheme;
+    }
+
+    get label() { return FD_SCHEMES[this.scheme].label; }
+
+    /** Bring the solution to sim.time. Returns false when the active case
+     *  has no continuum model. The sink and traps of sim.kinetics act on
+     *  every case alike, so they come from the engine rather than the model. */
+    sync(sim) {
+        const problem = sim.scenario.continuum?.(sim) ?? null;
+        if (!problem) {
+            this.grid = null;
+            return false;
+        }
+        if (!this.grid || this.runId !== sim.runId || sim.time < this.time) {
+            this.build(problem, sim);
+            this.runId = sim.runId;
+        }
+        this.advance(problem, sim.time, sim.kinetics);
+        // Fixed boundary values anchor the curve's ends
+        const end = side => side.type === 'value' ? side.value(this.time) : null;
+        this.grid.ends = [end(problem.left), end(problem.right)];
+        return true;
+    }
+
+    /** Faces, cell centres and volumes, with every `breaks` point on a face,
+     *  and the initial condition. Cells are a fifth of the jump length the
+     *  run starts with (within MIN/MAX_CELL): D ∝ λ², so the step bound
+     *  ∝ h²/D then depends on Γ alone. */
+    build(problem, sim) {
+        const { from, to } = problem;
+        const m = GEOMETRY_POWER[problem.geometry ?? 'planar'];
+        const jump = problem.resolution ?? sim.lambda;
+        const target = Math.max(Math.min(jump / 5, MAX_CELL), MIN_CELL, (to - from) / MAX_CELLS);
+        const knots = [from, ...(problem.breaks ?? []).filter(b => b > from && b < to).sort((a, b) => a - b), to];
+        const faces = [from];
+        for (let k = 1; k < knots.length; k++) {
+            const n = Math.max(1, Math.round((knots[k] - knots[k - 1]) / target));
+            for (let i = 1; i <= n; i++) faces.push(knots[k - 1] + (knots[k] - knots[k - 1]) * i / n);
+        }
+        const n = faces.length - 1;
+        const centers = new Float64Array(n), volumes = new Float64Array(n), areas = new Float64Array(n + 1);
+        for (let k = 0; k <= n; k++) areas[k] = faces[k] ** m;
+        for (let i = 0; i < n; i++) {
+            centers[i] = (faces[i] + faces[i + 1]) / 2;
+            volumes[i] = (faces[i + 1] ** (m + 1) - faces[i] ** (m + 1)) / (m + 1);
+        }
+        const c = new Float64Array(n);
+        const { initial } = problem;
+        if (typeof initial === 'function') {
+            for (let i = 0; i < n; i++) c[i] = initial(centers[i]);
+        } else {
+            // Unit mass at `film`, shared between the two nearest cell centres
+            const x0 = initial.film;
+            let i = 0;
+            while (i < n - 1 && centers[i + 1] <= x0) i++;
+            const w = x0 <= centers[0] ? 0 : i === n - 1 ? 0 : (x0 - centers[i]) / (centers[i + 1] - centers[i]);
+            c[i] += (1 - w) / volumes[i];
+            if (w > 0) c[i + 1] += w / volumes[i + 1];
+        }
+        const solubility = problem.solubility ?? (() => 1);
+        this.grid = {
+            m, faces, centers, volumes, areas, c, ends: [null, null],
+            q: new Float64Array(n), // trapped C
+            k: new Float64Array(n), s: Float64Array.from(centers, solubility),
+            lower: new Float64Array(n), diag: new Float64Array(n), upper: new Float64Array(n),
+            rhs: new Float64Array(n), scratch: new Float64Array(n),
+        };
+        this.time = 0;
+        this.maxStep = Infinity;
+    }
+
+    /** Cell equations V·dC/dt = F_in − F_out at time t, written as
+     *  dC/dt = lower·C₋ + diag·C + upper·C₊ + q. Face fluxes use the continuous
+     *  quantity u = C/s (s = solubility, so a partition jump sits on a face)
+     *  and the Scharfetter–Gummel form g·[B(−P)u_L − B(P)u_R] with P = vA/g,
+     *  exact for a steady uniform drift and stable at any cell Péclet number. Returns r_max and
+     *  the boundary source terms. */
+    coefficients(problem, t) {
+        const { faces, centers, volumes, areas, c, k, s, lower, diag, upper } = this.grid;
+        const n = centers.length;
+        const v = problem.velocity?.(t) ?? 0;
+        const solubility = problem.solubility ?? (() => 1);
+        for (let i = 0; i < n; i++) {
+            s[i] = solubility(centers[i]);
+            k[i] = problem.D(centers[i], t, c[i]) * s[i];
+        }
+        diag.fill(0);
+        lower.fill(0);
+        upper.fill(0);
+        // Interior faces: resistance of the two half-cells in series
+        for (let f = 1; f < n; f++) {
+            const g = areas[f] / ((faces[f] - centers[f - 1]) / k[f - 1] + (centers[f] - faces[f]) / k[f]);
+            const P = v * areas[f] / g;
+            const a = g * bernoulli(-P), b = g * bernoulli(P);
+            // F = a·u_{f−1} − b·u_f leaves cell f − 1 and enters cell f
+            diag[f - 1] -= a / s[f - 1] / volumes[f - 1];
+            upper[f - 1] += b / s[f] / volumes[f - 1];
+            lower[f] += a / s[f - 1] / volumes[f];
+            diag[f] -= b / s[f] / volumes[f];
+        }
+        // Boundary faces: a fixed value acts through the half-cell next to it
+        const edge = (side, i, f, dist) => {
+            if (side.type !== 'value') return null;
+            const g = areas[f] / (dist / k[i]);
+            const P = v * areas[f] / g;
+            // Inflow weight of the face value, outflow weight of the cell
+            const [wIn, wOut] = f === 0 ? [bernoulli(-P), bernoulli(P)] : [bernoulli(P), bernoulli(-P)];
+            diag[i] -= g * wOut / s[i] / volumes[i];
+            return { i, rate: g * wIn / s[i] / volumes[i], value: side.value };
+        };
+        const sources = [
+            edge(problem.left, 0, 0, centers[0] - faces[0]),
+            edge(problem.right, n - 1, n, faces[n] - centers[n - 1]),
+        ].filter(Boolean);
+        let rMax = 0;
+        for (let i = 0; i < n; i++) rMax = Math.max(rMax, -diag[i]);
+        return { rMax, sources };
+    }
+
+    /** θ-method steps up to time t1, with the coefficients at each step's
+     *  midpoint (a D(C) at the concentrations it starts from). A step that
+     *  turns out longer than the bound there is shortened and its
+     *  coefficients taken again. `kinetics` ({loss, capture, release}) are
+     *  split off: each step ends with the exact exchange between mobile C
+     *  and trapped q in every cell. */
+    advance(problem, t1, kinetics = null) {
+        const { theta, courant } = FD_SCHEMES[this.scheme];
+        const { c, q, lower, diag, upper, rhs, scratch } = this.grid;
+        const n = c.length;
+        while (t1 - this.time > 1e-12) {
+            const t0 = this.time;
+            let dt = Math.min(t1 - t0, this.maxStep);
+            let { rMax, sources } = this.coefficients(problem, t0 + dt / 2);
+            if (dt * rMax > courant * (1 + 1e-9)) {
+                dt = courant / rMax;
+                ({ rMax, sources } = this.coefficients(problem, t0 + dt / 2));
+            }
+            this.maxStep = rMax > 0 ? courant / rMax : Infinity;
+            // (I − θ·dt·L)·C' = (I + (1 − θ)·dt·L)·C + dt·q
+            for (let i = 0; i < n; i++) {
+                let r = c[i] + (1 - theta) * dt * diag[i] * c[i];
+                if (i > 0) r += (1 - theta) * dt * lower[i] * c[i - 1];
+                if (i < n - 1) r += (1 - theta) * dt * upper[i] * c[i + 1];
+                rhs[i] = r;
+            }
+            for (const { i, rate, value } of sources) {
+                rhs[i] += dt * rate * ((1 - theta) * value(t0) + theta * value(t0 + dt));
+            }
+            // Thomas algorithm on the tridiagonal (I − θ·dt·L)
+            let beta = 1 - theta * dt * diag[0];
+            c[0] = rhs[0] / beta;
+            for (let i = 1; i < n; i++) {
+                scratch[i] = -theta * dt * upper[i - 1] / beta;
+                beta = 1 - theta * dt * diag[i] + theta * dt * lower[i] * scratch[i];
+                c[i] = (rhs[i] + theta * dt * lower[i] * c[i - 1]) / beta;
+            }
+            for (let i = n - 2; i >= 0; i--) c[i] -= scratch[i + 1] * c[i + 1];
+            if (kinetics) {
+                const [m11, m12, m21, m22] = kineticsPropagator(kinetics, dt);
+                for (let i = 0; i < n; i++) {
+                    const ci = c[i];
+                    c[i] = m11 * ci + m12 * q[i];
+                    q[i] = m21 * ci + m22 * q[i];
+                }
+            }
+            this.time = t0 + dt;
+        }
+        this.time = t1;
+    }
+
+    /** Solution at x on the plotted scale: C linearly interpolated between
+     *  cell centres (and a fixed boundary value), times r^(d−1) for a radial
+     *  geometry so it compares with the radial distribution. Across an
+     *  interface C/s is interpolated, keeping the partition jump sharp. */
+    valueAt(x) {
+        const { c, ends } = this.grid;
+        return this.interpolate(c, ends, x);
+    }
+
+    /** Trapped concentration at x on the same scale (0 without traps). */
+    trappedAt(x) {
+        return this.interpolate(this.grid.q, [null, null], x);
+    }
+
+    /** `values` per cell at x, pinned to `ends` at fixed faces (see valueAt). */
+    interpolate(c, ends, x) {
+        const { m, faces, centers, s } = this.grid;
+        const n = c.length;
+        if (x < faces[0] || x > faces[n]) return 0;
+        let y;
+        if (x <= centers[0] && ends[0] !== null) {
+            y = ends[0] + (c[0] - ends[0]) * (x - faces[0]) / (centers[0] - faces[0]);
+        } else if (x >= centers[n - 1] && ends[1] !== null) {
+            y = ends[1] + (c[n - 1] - ends[1]) * (faces[n] - x) / (faces[n] - centers[n - 1]);
+        } else if (n === 1) {
+            y = c[0];
+        } else {
+            // Between centres, or extrapolated from the last two into a
+            // no-flux end cell (whose gradient is vC/D under a drift)
+            let lo = 0;
+            if (x >= centers[n - 1]) lo = n - 2;
+            else if (x > centers[0]) {
+                let hi = n - 1;
+                while (hi - lo > 1) {
+                    const mid = (lo + hi) >> 1;
+                    if (centers[mid] <= x) lo = mid; else hi = mid;
+                }
+            }
+            const u0 = c[lo] / s[lo], u1 = c[lo + 1] / s[lo + 1];
+            const u = u0 + (u1 - u0) * (x - centers[lo]) / (centers[lo + 1] - centers[lo]);
+            y = Math.max(0, u * s[x < faces[lo + 1] ? lo : lo + 1]);
+        }
+        return m > 0 ? y * x ** m : y;
+    }
+}
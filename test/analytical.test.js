@@ -0,0 +1,140 @@
+// The analytical solutions behind every case, checked against each other
+// rather than the walk: density profiles integrate to one atom's worth,
+// CDFs are the integrals of their densities, and the C/C₀ profiles hold
+// their boundary values and conserve mass.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiffusionSim, parseSurfaceSchedule, daynesBarrer } from '../js/simulation.js';
+import { integrate } from './helpers.js';
+
+/** A sim set up by `setup`, with its clock set to `time` (nothing is stepped). */
+function simAt(setup, time) {
+    const sim = new DiffusionSim({ seed: 1 });
+    setup(sim);
+    sim.time = time;
+    return sim;
+}
+
+// Profiles that are a probability density of one unit of mass, over the
+// whole range their coordinate can take
+const DENSITY_CASES = {
+    'Case 2 Gaussian': sim => sim.setCase(2),
+    'Case 2 drifting Gaussian': sim => { sim.setCase(2); sim.bias = 0.1; },
+    'Case 3 half Gaussian': sim => sim.setCase(3),
+    'Case 3 drift away from the wall': sim => { sim.setCase(3); sim.bias = 0.05; },
+    'Case 3 drift into the wall': sim => { sim.setCase(3); sim.bias = -0.05; },
+    'Case 4 film, reflecting back face': sim => { sim.setCase(4); sim.setSlab({ frontFace: 'reflect' }); },
+    'Case 6 point source': sim => sim.setCase(6),
+    'Case 6 line source': sim => { sim.setCase(6); sim.configure({ sourceShape: 'line' }); },
+};
+
+// The image term e^(kx)·erfc(…) of a drift away from the wall multiplies
+// erfc's ~1e-7 absolute error by e^(kx), which costs a few 1e-4 of mass
+// once the film has drifted far out.
+const MASS_TOLERANCE = { 'Case 3 drift away from the wall': 1e-3 };
+
+/** Range of the profile coordinate: the domain along x, [0, half the domain] in r. */
+function fullRange(sim) {
+    return sim.profile.axis === 'x' ? sim.domain : [0, sim.domainMax];
+}
+
+for (const [name, setup] of Object.entries(DENSITY_CASES)) {
+    test(`${name} integrates to 1`, () => {
+        for (const time of [0.05, 1, 5, 20]) {
+            const sim = simAt(setup, time);
+            assert.equal(sim.profileNormalization, 'density');
+            const [lo, hi] = fullRange(sim);
+            const mass = integrate(x => sim.analyticalAt(x), lo, hi, 40000);
+            assert.ok(Math.abs(mass - 1) < (MASS_TOLERANCE[name] ?? 1e-4), `t = ${time} s: ∫ = ${mass}`);
+        }
+    });
+}
+
+for (const [name, setup] of Object.entries(DENSITY_CASES)) {
+    const sim = simAt(setup, 5);
+    if (sim.analyticalCdfAt(0) === null) continue;
+    test(`${name}: the CDF is the integral of the density`, () => {
+        const [lo] = fullRange(sim);
+        for (const x of [-3, -1, 0.5, 1, 2, 4, 7]) {
+            if (x <= lo) continue;
+            const cdf = sim.analyticalCdfAt(x);
+            const area = integrate(u => sim.analyticalAt(u), lo, x, 40000);
+            assert.ok(Math.abs(cdf - area) < 1e-5, `x = ${x}: CDF ${cdf}, ∫ ${area}`);
+        }
+    });
+}
+
+test('Case 4 film with an absorbing back face loses mass over time', () => {
+    const setup = sim => { sim.setCase(4); sim.setSlab({ frontFace: 'reflect', backFace: 'absorb' }); };
+    let prev = 1;
+    for (const time of [0.05, 2, 5, 20, 60]) {
+        const sim = simAt(setup, time);
+        const mass = integrate(x => sim.analyticalAt(x), 0, sim.slabThickness, 20000);
+        assert.ok(mass <= prev + 1e-6 && mass > 0, `t = ${time} s: ∫ = ${mass}`);
+        prev = mass;
+    }
+    assert.ok(prev < 0.1);
+});
+
+test('Case 1 surfaces: C₀ at a held surface, zero at an emptied one', () => {
+    const constant = simAt(sim => sim.setCase(1), 5);
+    const held = simAt(sim => { sim.setCase(1); sim.setSurface({ mode: 'schedule', schedule: parseSurfaceSchedule('0:1') }); }, 5);
+    const dropped = simAt(sim => { sim.setCase(1); sim.setSurface({ mode: 'schedule', schedule: parseSurfaceSchedule('0:1, 3:0') }); }, 5);
+    const outgas = simAt(sim => { sim.setCase(1); sim.setSurface({ mode: 'outgas' }); }, 5);
+    for (const sim of [constant, held]) {
+        assert.ok(Math.abs(sim.analyticalAt(0) - 1) < 1e-6);
+        assert.ok(sim.analyticalAt(40) < 1e-12);
+    }
+    for (const x of [0.5, 1, 3]) assert.ok(Math.abs(held.analyticalAt(x) - constant.analyticalAt(x)) < 1e-12);
+    assert.ok(Math.abs(dropped.analyticalAt(0)) < 1e-6);
+    assert.ok(dropped.analyticalAt(1.5) > 0); // atoms taken up before t = 3 s are still inside
+    assert.ok(Math.abs(outgas.analyticalAt(0)) < 1e-6);
+    assert.ok(Math.abs(outgas.analyticalAt(25) - 1) < 1e-6);
+});
+
+test('Case 1 uptake and outgassing both move 2C₀√(Dt/π) through the surface', () => {
+    const time = 5;
+    const held = simAt(sim => sim.setCase(1), time);
+    const outgas = simAt(sim => { sim.setCase(1); sim.setSurface({ mode: 'outgas' }); }, time);
+    const expected = 2 * Math.sqrt(held.D * time / Math.PI);
+    const uptake = integrate(x => held.analyticalAt(x), 0, 60, 40000);
+    const lost = integrate(x => 1 - outgas.analyticalAt(x), 0, outgas.domainMax, 40000);
+    assert.ok(Math.abs(uptake / expected - 1) < 1e-4, `uptake ${uptake}, expected ${expected}`);
+    assert.ok(Math.abs(lost / expected - 1) < 1e-4, `lost ${lost}, expected ${expected}`);
+});
+
+test('Case 4 fixed-C₀ slab takes up 2C₀√(Dt/π) early and fills to C₀·L', () => {
+    const setup = sim => sim.setCase(4);
+    const early = simAt(setup, 0.5), late = simAt(setup, 400);
+    const L = early.slabThickness;
+    const uptake = integrate(x => early.analyticalAt(x), 0, L, 20000);
+    assert.ok(Math.abs(uptake / (2 * Math.sqrt(early.D * 0.5 / Math.PI)) - 1) < 1e-4);
+    assert.ok(Math.abs(integrate(x => late.analyticalAt(x), 0, L, 20000) / L - 1) < 1e-6);
+    assert.ok(Math.abs(early.analyticalAt(0) - 1) < 1e-6);
+});
+
+test('Case 5 couple conserves mass and jumps by K at the interface', () => {
+    const setup = sim => { sim.setCase(5); sim.configure({ partition: 2, gamma2: 10, interfaceX: 1 }); };
+    for (const time of [1, 5, 20]) {
+        const sim = simAt(setup, time);
+        const xi = sim.interfaceX, half = sim.domainMax;
+        // C jumps at xi, so each side stops short of it
+        const left = integrate(x => 1 - sim.analyticalAt(x), -half, xi - 1e-9, 40000);
+        const right = integrate(x => sim.analyticalAt(x), xi, half, 40000);
+        assert.ok(Math.abs(left - right) < 1e-4 * right, `t = ${time} s: lost ${left}, gained ${right}`);
+        const ratio = sim.analyticalAt(xi + 1e-9) / sim.analyticalAt(xi - 1e-9);
+        assert.ok(Math.abs(ratio - sim.partition) < 1e-6, `C₂/C₁ = ${ratio}`);
+    }
+});
+
+test('Case 7 membrane: the exit flux of the profile matches the Daynes–Barrer rate', () => {
+    for (const time of [1, 4, 12, 40]) {
+        const sim = simAt(sim => sim.setCase(7), time);
+        const L = sim.membraneThickness, Dt = sim.integratedD(0, time), h = 1e-4;
+        assert.ok(Math.abs(sim.analyticalAt(0) - 1) < 1e-6);
+        assert.ok(Math.abs(sim.analyticalAt(L)) < 1e-6);
+        const gradient = (sim.analyticalAt(L) - sim.analyticalAt(L - h)) / h;
+        const { rate } = daynesBarrer(Dt, L);
+        assert.ok(Math.abs(-gradient - rate) < 1e-3 * Math.max(rate, 1e-3), `t = ${time} s: −∂C/∂x ${-gradient}, rate ${rate}`);
+    }
+});
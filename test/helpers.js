@@ -0,0 +1,69 @@
+// Shared pieces of the test suite: seeded runs and the statistics the
+// assertions are built on. Imported by the *.test.js files, not run itself.
+import { DiffusionSim } from '../js/simulation.js';
+import { histogramScale } from '../js/datasets.js';
+
+/** A seeded DiffusionSim after `setup(sim)`, run in 0.05 s steps to `time`. */
+export function runWalk(setup, { seed = 1, atoms = 4000, time = 5 } = {}) {
+    const sim = new DiffusionSim({ seed });
+    setup(sim);
+    sim.setNumAtoms(atoms);
+    sim.running = true;
+    while (sim.time < time - 1e-9) sim.step(0.05);
+    return sim;
+}
+
+/** ∫ f from a to b by composite Simpson's rule on n (even) intervals. */
+export function integrate(f, a, b, n = 2000) {
+    const h = (b - a) / n;
+    let s = f(a) + f(b);
+    for (let i = 1; i < n; i++) s += (i % 2 ? 4 : 2) * f(a + i * h);
+    return s * h / 3;
+}
+
+/** z-score of the sample mean of `values` against `expected`, with the
+ *  standard error taken from the sample itself. */
+export function zScore(values, expected) {
+    const n = values.length;
+    let sum = 0, sq = 0;
+    for (const v of values) sum += v;
+    const mean = sum / n;
+    for (const v of values) sq += (v - mean) ** 2;
+    return (mean - expected) / Math.sqrt(sq / (n - 1) / n);
+}
+
+/** Largest |z| accepted: two-sided p ≈ 1e-4, so a seed change is unlikely to trip it. */
+export const Z_LIMIT = 3.9;
+
+/** Upper bound on a χ² with `dof` degrees of freedom, about 4σ above its mean. */
+export function chiSquareLimit(dof) {
+    return dof + 4 * Math.sqrt(2 * dof);
+}
+
+/**
+ * Pearson χ² of the profile histogram against the analytical solution.
+ * Expected counts are the analytical curve averaged over each bin, on the
+ * histogram's own scale (see histogramScale); bins expecting fewer than
+ * five atoms are left out, as the χ² approximation needs.
+ * @returns {{chi2: number, dof: number}}
+ */
+export function profileChiSquare(sim) {
+    const hist = sim.getHistogram();
+    const { min: lo, max: hi } = sim.profile;
+    const binW = (hi - lo) / hist.length;
+    const scale = histogramScale(sim, hist);
+    let chi2 = 0, dof = 0;
+    for (let i = 0; i < hist.length; i++) {
+        const a = lo + i * binW;
+        const expected = integrate(x => sim.analyticalAt(x), a, a + binW, 16) / binW / scale;
+        if (expected < 5) continue;
+        chi2 += (hist[i] - expected) ** 2 / expected;
+        dof++;
+    }
+    return { chi2, dof };
+}
+
+/** Profile coordinate of every atom (x, or r / ρ for radial sources). */
+export function coordinates(sim) {
+    return Array.from(sim.profileCoordinates());
+}
@@ -0,0 +1,112 @@
+// The closed-form helpers of simulation.js against reference values and
+// their own limits: erfc, the overflow-safe expErfc, the slab series and
+// the Daynes–Barrer permeation curve, and the seeded generator.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { erfc, expErfc, surfaceStep, slabSolution, daynesBarrer, SeededRandom } from '../js/simulation.js';
+import { zScore, Z_LIMIT } from './helpers.js';
+
+// erfc to 16 digits (Python math.erfc)
+const ERFC_REFERENCE = [
+    [0, 1],
+    [0.1, 0.8875370839817152],
+    [0.25, 0.7236736098317631],
+    [0.5, 0.4795001221869535],
+    [1, 0.15729920705028513],
+    [1.5, 0.033894853524689274],
+    [2, 0.004677734981047265],
+    [2.5, 0.0004069520174449589],
+    [3, 2.2090496998585438e-5],
+    [4, 1.541725790028002e-8],
+    [-0.5, 1.5204998778130465],
+    [-2, 1.9953222650189528],
+];
+
+test('erfc is within the Abramowitz–Stegun 7.1.26 bound of reference values', () => {
+    for (const [x, expected] of ERFC_REFERENCE) {
+        const err = Math.abs(erfc(x) - expected);
+        assert.ok(err <= 1.5e-7, `erfc(${x}) = ${erfc(x)}, expected ${expected} (error ${err.toExponential(2)})`);
+    }
+});
+
+test('erfc is decreasing, with erfc(x) + erfc(−x) = 2', () => {
+    let prev = 2;
+    for (let x = -5; x <= 5; x += 0.01) {
+        const v = erfc(x);
+        assert.ok(v <= prev, `erfc rises at x = ${x.toFixed(2)}`);
+        assert.ok(Math.abs(v + erfc(-x) - 2) < 1e-12);
+        prev = v;
+    }
+    assert.equal(erfc(30), 0);
+    assert.equal(erfc(-30), 2);
+});
+
+test('expErfc(a, x) equals exp(a)·erfc(x) and stays finite where that product overflows', () => {
+    for (const [a, x] of [[0.3, 0.2], [2, 1.5], [-1, 0.7], [1, -0.5]]) {
+        assert.ok(Math.abs(expErfc(a, x) - Math.exp(a) * erfc(x)) < 1e-12 * Math.exp(Math.abs(a)) + 1e-15);
+    }
+    // exp(800) overflows, but the product is about e^(800 − 28.5²)/(28.5√π). The
+    // 7.1.26 bound is on the absolute error of erf, so far out in the tail the
+    // scaled erfc is only good to some 20%.
+    const v = expErfc(800, 28.5);
+    assert.ok(Number.isFinite(v) && v > 0);
+    assert.ok(Math.abs(v / (Math.exp(800 - 28.5 * 28.5) / (28.5 * Math.sqrt(Math.PI))) - 1) < 0.25);
+});
+
+test('surfaceStep starts as a step and holds C₀ at the surface', () => {
+    assert.equal(surfaceStep(0, 0), 1);
+    assert.equal(surfaceStep(1, 0), 0);
+    for (const Dt of [0.01, 1, 100]) {
+        assert.ok(Math.abs(surfaceStep(0, Dt) - 1) < 1.5e-7);
+        assert.ok(Math.abs(surfaceStep(2 * Math.sqrt(Dt), Dt) - 0.15729920705028513) < 2e-7);
+    }
+});
+
+test('slabSolution joins its semi-infinite branch continuously at √(Dt) = L/20', () => {
+    const L = 5, edge = (L / 20) ** 2;
+    for (const [source, absorb] of [[true, false], [true, true], [false, false], [false, true]]) {
+        for (const x of [0.02, 0.1, 0.3]) {
+            const below = slabSolution(x, edge * 0.999, L, source, absorb);
+            const above = slabSolution(x, edge * 1.001, L, source, absorb);
+            const tol = source ? 2e-3 : 2e-3 / Math.sqrt(edge);
+            assert.ok(Math.abs(below - above) < tol, `source=${source} absorb=${absorb} x=${x}: ${below} vs ${above}`);
+        }
+    }
+});
+
+test('slabSolution reaches the steady states at long times', () => {
+    const L = 5, Dt = 50 * L * L;
+    for (const x of [0, 1, 2.5, 4, 5]) {
+        assert.ok(Math.abs(slabSolution(x, Dt, L, true, false) - 1) < 1e-9);         // filled to C₀
+        assert.ok(Math.abs(slabSolution(x, Dt, L, true, true) - (1 - x / L)) < 1e-9); // linear permeation profile
+        assert.ok(Math.abs(slabSolution(x, Dt, L, false, false) - 1 / L) < 1e-9);     // film spread evenly
+        assert.ok(Math.abs(slabSolution(x, Dt, L, false, true)) < 1e-9);              // film drained
+    }
+});
+
+test('daynesBarrer: its two branches agree and Q tends to Dt/L − L/6', () => {
+    const L = 5, edge = 0.1 * L * L;
+    const below = daynesBarrer(edge * (1 - 1e-9), L), above = daynesBarrer(edge * (1 + 1e-9), L);
+    assert.ok(Math.abs(below.Q - above.Q) < 1e-6 * L);
+    assert.ok(Math.abs(below.rate - above.rate) < 1e-6 / L);
+    const late = daynesBarrer(20 * L * L, L);
+    assert.ok(Math.abs(late.Q - (20 * L - L / 6)) < 1e-9);
+    assert.ok(Math.abs(late.rate * L - 1) < 1e-9);
+    assert.deepEqual(daynesBarrer(0, L), { Q: 0, rate: 0 });
+});
+
+test('SeededRandom repeats its stream for a seed and is uniform on [0, 1)', () => {
+    const a = new SeededRandom(42), b = new SeededRandom(42);
+    const values = [];
+    for (let i = 0; i < 100000; i++) {
+        const v = a.random();
+        assert.equal(v, b.random());
+        assert.ok(v >= 0 && v < 1);
+        values.push(v);
+    }
+    assert.ok(Math.abs(zScore(values, 0.5)) < Z_LIMIT);
+    assert.ok(Math.abs(zScore(values.map(v => v * v), 1 / 3)) < Z_LIMIT);
+    const c = new SeededRandom();
+    c.setState(a.getState());
+    assert.equal(c.random(), a.random());
+});
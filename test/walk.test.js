@@ -0,0 +1,194 @@
+// Seeded random walks from step() against theory: each case's histogram by
+// Pearson χ², ⟨x⟩ and ⟨x²⟩ where the moments are known, the positions by
+// Kolmogorov–Smirnov, and the boundaries (clamp, reflect, absorb, periodic
+// y/z). The seeds are fixed, so a failure means the engine changed; the
+// bounds sit near p = 1e-4, so a fair walk on another seed passes too.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DiffusionSim, DOMAIN_WIDTH, parseSurfaceSchedule, erfc } from '../js/simulation.js';
+import { ksStatistic, secondMomentD } from '../js/analysis.js';
+import { runWalk, profileChiSquare, chiSquareLimit, zScore, Z_LIMIT, coordinates } from './helpers.js';
+
+// The legacy Case 1 surface is a film clamped at x = 0 rather than a C₀
+// reservoir: it spreads as a half-Gaussian and only roughly follows erfc, so
+// the fixed surface is tested here through a "0:1" schedule, which holds C₀
+// with a reservoir band, and the clamped film against its half-Gaussian below.
+const PROFILE_CASES = {
+    'Case 1 fixed surface': sim => { sim.setCase(1); sim.setSurface({ mode: 'schedule', schedule: parseSurfaceSchedule('0:1') }); },
+    'Case 1 outgassing': sim => { sim.setCase(1); sim.setSurface({ mode: 'outgas' }); },
+    'Case 2': sim => sim.setCase(2),
+    'Case 2 with drift': sim => { sim.setCase(2); sim.bias = 0.1; },
+    'Case 3': sim => sim.setCase(3),
+    'Case 3 with drift into the wall': sim => { sim.setCase(3); sim.bias = -0.05; },
+    'Case 4 fixed C₀, reflecting back': sim => sim.setCase(4),
+    'Case 4 fixed C₀, absorbing back': sim => { sim.setCase(4); sim.setSlab({ backFace: 'absorb' }); },
+    'Case 4 film, reflecting back': sim => { sim.setCase(4); sim.setSlab({ frontFace: 'reflect' }); },
+    // An absorbing face sits about one jump further out for the walk than for
+    // the continuum; a shorter λ (same D) keeps that within the counting noise.
+    'Case 4 film, absorbing back': sim => {
+        sim.setCase(4);
+        sim.setSlab({ frontFace: 'reflect', backFace: 'absorb' });
+        sim.lambda = 0.25;
+        sim.gamma = 80;
+    },
+    'Case 5': sim => sim.setCase(5),
+    'Case 5 with K = 2': sim => { sim.setCase(5); sim.configure({ partition: 2, gamma2: 10 }); },
+    'Case 6 point source': sim => sim.setCase(6),
+    'Case 6 line source': sim => { sim.setCase(6); sim.configure({ sourceShape: 'line' }); },
+    'Case 7': sim => sim.setCase(7),
+};
+
+// The clamp at x = 0 holds atoms back by a fraction of λ, which leaves the
+// film short of its half-Gaussian (⟨x²⟩ some λ/3√(Dt) below 2Dt); a short λ
+// (same D) keeps that under the noise.
+const CLAMPED_SURFACE = sim => {
+    sim.setCase(1);
+    sim.lambda = 0.125;
+    sim.gamma = 320;
+};
+
+for (const [name, setup] of Object.entries(PROFILE_CASES)) {
+    test(`${name}: the histogram follows the analytical profile`, () => {
+        const sim = runWalk(setup);
+        const { chi2, dof } = profileChiSquare(sim);
+        assert.ok(dof >= 10, `only ${dof} bins expect five or more atoms`);
+        assert.ok(chi2 < chiSquareLimit(dof), `χ² = ${chi2.toFixed(1)} for ${dof} bins (limit ${chiSquareLimit(dof).toFixed(1)})`);
+    });
+}
+
+for (const name of ['Case 2', 'Case 2 with drift', 'Case 3', 'Case 3 with drift into the wall', 'Case 6 point source', 'Case 6 line source']) {
+    test(`${name}: positions pass a Kolmogorov–Smirnov test`, () => {
+        const sim = runWalk(PROFILE_CASES[name]);
+        const { d } = ksStatistic(sim);
+        const limit = 1.95 / Math.sqrt(sim.numAtoms); // p = 0.001
+        assert.ok(d < limit, `D = ${d.toFixed(4)}, limit ${limit.toFixed(4)}`);
+    });
+}
+
+test('Case 2: ⟨x⟩ = 0 and ⟨x²⟩ = ⟨y²⟩ = ⟨z²⟩ = 2Dt', () => {
+    const sim = runWalk(PROFILE_CASES['Case 2']);
+    const Dt = sim.D * sim.time;
+    const xs = coordinates(sim);
+    assert.ok(Math.abs(zScore(xs, 0)) < Z_LIMIT);
+    for (const axis of [0, 1, 2]) {
+        const sq = [];
+        for (let i = 0; i < sim.numAtoms; i++) sq.push(sim.displacements[i * 3 + axis] ** 2);
+        const z = zScore(sq, 2 * Dt);
+        assert.ok(Math.abs(z) < Z_LIMIT, `axis ${'xyz'[axis]}: z = ${z.toFixed(2)}`);
+    }
+});
+
+test('Case 2 with drift: the film moves by ∫v dt and spreads by 2Dt about it', () => {
+    const sim = runWalk(PROFILE_CASES['Case 2 with drift']);
+    const shift = sim.driftShift(0, sim.time);
+    assert.ok(shift > 1);
+    const xs = coordinates(sim);
+    assert.ok(Math.abs(zScore(xs, shift)) < Z_LIMIT);
+    assert.ok(Math.abs(zScore(xs.map(x => (x - shift) ** 2), 2 * sim.D * sim.time)) < Z_LIMIT);
+});
+
+test('Case 3: the reflected film has ⟨x⟩ = 2√(Dt/π) and ⟨x²⟩ = 2Dt', () => {
+    const sim = runWalk(PROFILE_CASES['Case 3']);
+    const Dt = sim.D * sim.time;
+    const xs = coordinates(sim);
+    assert.ok(Math.abs(zScore(xs, 2 * Math.sqrt(Dt / Math.PI))) < Z_LIMIT);
+    assert.ok(Math.abs(zScore(xs.map(x => x * x), 2 * Dt)) < Z_LIMIT);
+});
+
+test('Case 1 constant surface: the clamped film has ⟨x²⟩ = 2Dt, so D from ⟨x²⟩ is Γλ²/6', () => {
+    const sim = runWalk(CLAMPED_SURFACE, { time: 10 });
+    const z = zScore(coordinates(sim).map(x => x * x), 2 * sim.D * sim.time);
+    assert.ok(Math.abs(z) < Z_LIMIT, `z = ${z.toFixed(2)}`);
+    assert.ok(Math.abs(secondMomentD(sim) / sim.D - 1) < 0.08, `D fit ${secondMomentD(sim)}, D ${sim.D}`);
+});
+
+test('Case 1 constant surface: the clamped film passes a Kolmogorov–Smirnov test as a half-Gaussian', () => {
+    const sim = runWalk(CLAMPED_SURFACE, { time: 10 });
+    const xs = coordinates(sim).sort((a, b) => a - b);
+    const n = xs.length, width = 2 * Math.sqrt(sim.D * sim.time);
+    let d = 0;
+    for (let i = 0; i < n; i++) {
+        const f = 1 - erfc(xs[i] / width); // CDF of the half-Gaussian, erf(x/2√(Dt))
+        d = Math.max(d, (i + 1) / n - f, f - i / n);
+    }
+    const limit = 1.95 / Math.sqrt(n); // p = 0.001
+    assert.ok(d < limit, `D = ${d.toFixed(4)}, limit ${limit.toFixed(4)}`);
+});
+
+test('Case 6: ⟨r²⟩ = 6Dt from a point, ⟨ρ²⟩ = 4Dt from a line', () => {
+    for (const [name, factor] of [['Case 6 point source', 6], ['Case 6 line source', 4]]) {
+        const sim = runWalk(PROFILE_CASES[name]);
+        const z = zScore(coordinates(sim).map(r => r * r), factor * sim.D * sim.time);
+        assert.ok(Math.abs(z) < Z_LIMIT, `${name}: z = ${z.toFixed(2)}`);
+    }
+});
+
+test('reflecting and clamping faces keep every atom in the domain', () => {
+    for (const name of ['Case 3', 'Case 4 film, reflecting back']) {
+        const sim = runWalk(PROFILE_CASES[name], { time: 20 });
+        const [lo, hi] = sim.domain;
+        assert.equal(sim.numAtoms, 4000, `${name} lost atoms`);
+        for (let i = 0; i < sim.numAtoms; i++) {
+            const x = sim.atoms[i * 3];
+            assert.ok(x >= lo && x <= hi, `${name}: atom at x = ${x}`);
+        }
+    }
+    // The legacy Case 1 surface clamps at x = 0 instead of reflecting
+    const sim = runWalk(sim => sim.setCase(1));
+    assert.equal(sim.numAtoms, 4000);
+    for (let i = 0; i < sim.numAtoms; i++) assert.ok(sim.atoms[i * 3] >= 0);
+});
+
+test('an absorbing face removes atoms and counts them', () => {
+    const sim = runWalk(PROFILE_CASES['Case 4 film, absorbing back'], { time: 20 });
+    assert.ok(sim.absorbed > 0);
+    assert.equal(sim.numAtoms + sim.absorbed, 4000);
+    for (let i = 0; i < sim.numAtoms; i++) assert.ok(sim.atoms[i * 3] < sim.slabThickness);
+});
+
+test('asking for fewer atoms than were absorbed settles on the request', () => {
+    const sim = runWalk(PROFILE_CASES['Case 4 film, absorbing back'], { atoms: 2000, time: 20 });
+    const left = sim.numAtoms;
+    assert.ok(left < 1900);
+    sim.setNumAtoms(2000 - left - 100);
+    assert.equal(sim.numAtoms, 0);
+    assert.equal(sim.loadedAtoms, 2000 - left - 100);
+    sim.setNumAtoms(sim.loadedAtoms);
+    assert.equal(sim.numAtoms, 0);
+});
+
+test('y and z wrap periodically in the planar cases and not around a point source', () => {
+    const half = DOMAIN_WIDTH / 2;
+    const planar = runWalk(PROFILE_CASES['Case 2']);
+    for (let i = 0; i < planar.numAtoms; i++) {
+        for (const axis of [1, 2]) {
+            const p = planar.atoms[i * 3 + axis];
+            assert.ok(Math.abs(p) <= half, `atom ${i} at ${'xyz'[axis]} = ${p}`);
+            // The wrapped position is the unwrapped one folded into [−W/2, W/2]
+            const unwrapped = planar.origins[i * 3 + axis] + planar.displacements[i * 3 + axis];
+            const folded = unwrapped - DOMAIN_WIDTH * Math.round(unwrapped / DOMAIN_WIDTH);
+            assert.ok(Math.abs(folded - p) < 1e-3 || Math.abs(Math.abs(folded - p) - DOMAIN_WIDTH) < 1e-3);
+        }
+    }
+    const point = runWalk(PROFILE_CASES['Case 6 point source']);
+    let outside = 0;
+    for (let i = 0; i < point.numAtoms; i++) if (Math.abs(point.atoms[i * 3 + 1]) > half) outside++;
+    assert.ok(outside > 0, 'no atom left the periodic box in y');
+});
+
+test('a seed reproduces the run, and a snapshot continues it', () => {
+    const a = runWalk(PROFILE_CASES['Case 5'], { seed: 9, time: 2 });
+    const b = runWalk(PROFILE_CASES['Case 5'], { seed: 9, time: 2 });
+    assert.equal(a.numAtoms, b.numAtoms);
+    assert.deepEqual(a.atoms.subarray(0, a.numAtoms * 3), b.atoms.subarray(0, b.numAtoms * 3));
+
+    const c = new DiffusionSim();
+    c.restore(a.snapshot());
+    c.running = true;
+    for (let i = 0; i < 20; i++) {
+        a.step(0.05);
+        c.step(0.05);
+    }
+    assert.equal(c.time, a.time);
+    assert.deepEqual(c.atoms.subarray(0, c.numAtoms * 3), a.atoms.subarray(0, a.numAtoms * 3));
+});